@@ -172,6 +172,36 @@
         trim: function(str) {
             if (!this.isString(str)) return '';
             return str.trim();
+        },
+        get: function(obj, path) {
+            const segments = this.isString(path) ? path.split('.') : [];
+            let value = obj;
+            
+            for (let i = 0; i < segments.length; i++) {
+                if (value === null || value === undefined) return undefined;
+                value = value[segments[i]];
+            }
+            
+            return value;
+        },
+        unescapeHtml: function(str) {
+            const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&#96;': '`' };
+            return String(str).replace(/&(?:amp|lt|gt|quot|#39|#96);/g, function(entity) {
+                return entities[entity];
+            });
+        },
+        escapeHtml: function(str) {
+            if (str === null || str === undefined) return '';
+            const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+            return String(str).replace(/[&<>"'`]/g, function(c) {
+                return entities[c];
+            });
+        },
+        // Escape for an unquoted attribute value, where whitespace and "=" would start a new attribute
+        escapeAttribute: function(str) {
+            return utils.escapeHtml(str).replace(/[\s=]/g, function(c) {
+                return '&#' + c.charCodeAt(0) + ';';
+            });
         }
     };
 
@@ -450,14 +480,138 @@
         }
     };
 
+    // Storage adapters for the persist option; custom adapters provide getItem/setItem/removeItem and may return promises
+    const storage = {
+        createWeb: function(name) {
+            // Web storage throws when disabled, e.g. in sandboxed frames or private browsing
+            const call = (method, ...args) => {
+                try {
+                    return window[name][method](...args);
+                } catch (e) {
+                    return null;
+                }
+            };
+            
+            return {
+                getItem: key => call('getItem', key),
+                setItem: (key, value) => call('setItem', key, value),
+                removeItem: key => call('removeItem', key)
+            };
+        },
+        createMemory: function() {
+            const items = {};
+            
+            return {
+                getItem: key => items.hasOwnProperty(key) ? items[key] : null,
+                setItem: (key, value) => {
+                    items[key] = String(value);
+                },
+                removeItem: key => {
+                    delete items[key];
+                }
+            };
+        }
+    };
+    
+    storage.local = storage.createWeb('localStorage');
+    storage.session = storage.createWeb('sessionStorage');
+    storage.memory = storage.createMemory();
+
     // HTTP client
     const http = {
+        defaults: {},
+        
+        // New client with its own defaults ({ baseURL, headers, timeout, params }) and interceptor chains
+        create: function(defaults = {}) {
+            const client = Object.create(http);
+            
+            client.defaults = Object.assign({}, this.defaults, defaults, {
+                headers: Object.assign({}, this.defaults.headers, defaults.headers),
+                params: Object.assign({}, this.defaults.params, defaults.params)
+            });
+            client.interceptors = {
+                request: http._createInterceptors(),
+                response: http._createInterceptors()
+            };
+            
+            return client;
+        },
+        
+        // Interceptors may return promises; use() returns an id for eject()
+        _createInterceptors: function() {
+            const handlers = [];
+            
+            return {
+                handlers,
+                use: (fulfilled, rejected) => {
+                    handlers.push({ fulfilled, rejected });
+                    return handlers.length - 1;
+                },
+                eject: id => {
+                    handlers[id] = null;
+                },
+                clear: () => {
+                    handlers.length = 0;
+                }
+            };
+        },
+        
+        // Runs request interceptors, sends, then runs response interceptors in the order they were added
         request: function(options = {}) {
+            const config = Object.assign({}, this.defaults, options, {
+                headers: Object.assign({}, this.defaults.headers, options.headers),
+                params: Object.assign({}, this.defaults.params, options.params)
+            });
+            
+            let promise = Promise.resolve(config);
+            
+            this.interceptors.request.handlers.forEach(handler => {
+                if (handler) {
+                    promise = promise.then(handler.fulfilled, handler.rejected);
+                }
+            });
+            
+            promise = promise.then(config => this._send(config));
+            
+            this.interceptors.response.handlers.forEach(handler => {
+                if (handler) {
+                    promise = promise.then(handler.fulfilled, handler.rejected);
+                }
+            });
+            
+            return promise;
+        },
+        
+        // baseURL applies to relative URLs only; params are appended to the query string
+        _buildURL: function(config) {
+            let url = config.url || '';
+            
+            if (config.baseURL && !/^([a-z][a-z\d+\-.]*:)?\/\//i.test(url)) {
+                url = config.baseURL.replace(/\/+$/, '') + (url ? '/' + url.replace(/^\/+/, '') : '');
+            }
+            
+            const pairs = [];
+            
+            utils.each(config.params || {}, (value, key) => {
+                (utils.isArray(value) ? value : [value]).forEach(item => {
+                    if (item === undefined || item === null) return;
+                    pairs.push(encodeURIComponent(key) + '=' + encodeURIComponent(item));
+                });
+            });
+            
+            if (pairs.length) {
+                url += (url.indexOf('?') === -1 ? '?' : '&') + pairs.join('&');
+            }
+            
+            return url;
+        },
+        
+        _send: function(options) {
             return new Promise((resolve, reject) => {
                 const xhr = new XMLHttpRequest();
                 
                 const method = options.method ? options.method.toUpperCase() : 'GET';
-                const url = options.url || '';
+                const url = this._buildURL(options);
                 const async = options.async !== false;
                 const data = options.data || null;
                 const headers = options.headers || {};
@@ -491,7 +645,8 @@
                             status: xhr.status,
                             statusText: xhr.statusText,
                             headers: xhr.getAllResponseHeaders(),
-                            xhr: xhr
+                            xhr: xhr,
+                            config: options
                         });
                     } else {
                         reject({
@@ -499,7 +654,8 @@
                             status: xhr.status,
                             statusText: xhr.statusText,
                             headers: xhr.getAllResponseHeaders(),
-                            xhr: xhr
+                            xhr: xhr,
+                            config: options
                         });
                     }
                 };
@@ -511,7 +667,8 @@
                         status: xhr.status,
                         statusText: xhr.statusText,
                         headers: xhr.getAllResponseHeaders(),
-                        xhr: xhr
+                        xhr: xhr,
+                        config: options
                     });
                 };
                 
@@ -522,7 +679,8 @@
                         status: 0,
                         statusText: 'timeout',
                         headers: '',
-                        xhr: xhr
+                        xhr: xhr,
+                        config: options
                     });
                 };
                 
@@ -567,6 +725,11 @@
             return this.request(utils.extend({ method: 'DELETE', url }, options));
         }
     };
+    
+    http.interceptors = {
+        request: http._createInterceptors(),
+        response: http._createInterceptors()
+    };
 
     // Event system
     class EventEmitter {
@@ -639,360 +802,2495 @@
 
     // Simple reactive system
     class Observer {
-        constructor(data, callback) {
-            this.data = data;
+        constructor(data, callback, options = {}) {
+            this.options = utils.extend({
+                proxy: false // observe through Proxy objects, which also see added and deleted keys
+            }, options);
+            
+            this.root = data;
             this.callback = callback;
-            this.observe(data);
+            this._parents = new WeakMap();
+            this._silent = 0;
+            this._shared = new Map();
+            this._borrowed = new Map();
+            
+            if (this.options.proxy) {
+                this._proxies = new WeakMap();
+                this._targets = new WeakMap();
+                this.data = this._wrap(data);
+            } else {
+                this.data = data;
+                this._arrayMethods = this._createArrayMethods();
+                this.observe(data);
+            }
         }
         
-        observe(obj) {
-            if (!utils.isObject(obj)) return;
+        observe(obj, parent, parentKey) {
+            if (!utils.isObject(obj)) return obj;
+            
+            // Proxies observe lazily as nested objects are read
+            if (this.options.proxy) {
+                return this._wrap(obj);
+            }
+            
+            if (parent !== undefined) {
+                this._parents.set(obj, { parent, key: parentKey });
+            }
+            
+            // Objects another observer already made reactive (e.g. props passed by reference)
+            // keep that observer's accessors; this one subscribes to its changes instead
+            const owner = Observer.owners.get(obj);
+            if (owner && owner !== this && !owner._destroyed) {
+                owner._share(obj, this);
+                return obj;
+            }
+            Observer.owners.set(obj, this);
+            
+            // Arrays report mutating method calls through an intercepting prototype
+            if (utils.isArray(obj) && Object.getPrototypeOf(obj) !== this._arrayMethods) {
+                Object.setPrototypeOf(obj, this._arrayMethods);
+            }
             
             Object.keys(obj).forEach(key => {
-                let value = obj[key];
-                
-                if (utils.isObject(value)) {
-                    this.observe(value);
-                }
-                
-                Object.defineProperty(obj, key, {
-                    get: () => value,
-                    set: newValue => {
-                        if (value === newValue) return;
-                        
-                        const oldValue = value;
-                        value = newValue;
-                        
-                        if (utils.isObject(newValue)) {
-                            this.observe(newValue);
-                        }
-                        
-                        this.callback(key, newValue, oldValue);
-                    }
-                });
+                this._defineReactive(obj, key, obj[key]);
             });
-        }
-    }
-
-    // Template engine
-    class Template {
-        constructor(options = {}) {
-            this.options = utils.extend({
-                delimiters: ['{{', '}}'],
-                escape: true
-            }, options);
             
-            this.cache = {};
+            return obj;
         }
         
-        compile(template) {
-            if (this.cache[template]) {
-                return this.cache[template];
-            }
+        // Dotted path of a key below the root data, e.g. "user.address.city" or "items.3"
+        pathOf(obj, key) {
+            const segments = key === undefined ? [] : [String(key)];
+            const seen = new Set();
+            let current = obj;
             
-            const delimiters = this.options.escape ? 
-                this.escapeRegExp(this.options.delimiters[0]) + '\\s*(.+?)\\s*' + this.escapeRegExp(this.options.delimiters[1]) :
-                this.options.delimiters[0] + '\\s*(.+?)\\s*' + this.options.delimiters[1];
+            while (current && current !== this.root && !seen.has(current)) {
+                const info = this._parents.get(current);
+                if (!info) break;
+                
+                seen.add(current);
+                segments.unshift(this._keyOf(current, info));
+                current = info.parent;
+            }
             
-            const pattern = new RegExp(delimiters, 'g');
+            return segments.join('.');
+        }
+        
+        // Call fn(observer, path) for every observer sharing an object that contains obj[key]
+        _eachShare(obj, key, fn) {
+            if (!this._shared.size) return;
             
-            const tokens = [];
-            let lastIndex = 0;
-            let match;
+            const segments = key === undefined ? [] : [String(key)];
+            const seen = new Set();
+            let current = obj;
             
-            while ((match = pattern.exec(template)) !== null) {
-                if (match.index > lastIndex) {
-                    tokens.push({
-                        type: 'text',
-                        value: template.substring(lastIndex, match.index)
+            while (current && !seen.has(current)) {
+                const observers = this._shared.get(current);
+                
+                if (observers) {
+                    observers.forEach(observer => {
+                        const path = [observer.pathOf(current)].concat(segments).filter(segment => segment !== '').join('.');
+                        fn(observer, path);
                     });
                 }
                 
-                tokens.push({
-                    type: 'expression',
-                    value: match[1].trim()
-                });
+                const info = this._parents.get(current);
+                if (!info) break;
                 
-                lastIndex = pattern.lastIndex;
+                seen.add(current);
+                segments.unshift(this._keyOf(current, info));
+                current = info.parent;
+            }
+        }
+        
+        _share(obj, observer) {
+            if (!this._shared.has(obj)) {
+                this._shared.set(obj, new Set());
+            }
+            this._shared.get(obj).add(observer);
+            observer._borrowed.set(obj, this);
+        }
+        
+        _track(obj, key) {
+            Observer.target(this, this.pathOf(obj, key));
+            this._eachShare(obj, key, (observer, path) => Observer.target(observer, path));
+        }
+        
+        // Report a change to the callback and to observers sharing the changed object
+        _notify(key, newValue, oldValue, obj, prop, mutation) {
+            this.callback(key, newValue, oldValue, this.pathOf(obj, prop), mutation);
+            this._eachShare(obj, prop, (observer, path) => {
+                observer.callback(key, newValue, oldValue, path, mutation);
+            });
+        }
+        
+        destroy() {
+            this._destroyed = true;
+            this._borrowed.forEach((owner, obj) => {
+                const observers = owner._shared.get(obj);
+                if (!observers) return;
+                
+                observers.delete(this);
+                if (!observers.size) owner._shared.delete(obj);
+            });
+            this._borrowed.clear();
+        }
+        
+        _keyOf(obj, info) {
+            // Array elements move around, so look their index up when it is needed
+            if (utils.isArray(info.parent)) {
+                const index = info.parent.indexOf(obj);
+                if (index !== -1) return String(index);
             }
             
-            if (lastIndex < template.length) {
-                tokens.push({
-                    type: 'text',
-                    value: template.substring(lastIndex)
-                });
+            return info.key;
+        }
+        
+        _wrap(obj) {
+            obj = this._targets.get(obj) || obj;
+            
+            if (this._proxies.has(obj)) {
+                return this._proxies.get(obj);
             }
             
-            const render = (data) => {
-                return tokens.map(token => {
-                    if (token.type === 'text') {
-                        return token.value;
+            const proxy = new Proxy(obj, {
+                get: (target, key, receiver) => {
+                    if (utils.isArray(target) && Observer.ARRAY_METHODS.indexOf(key) !== -1) {
+                        return this._proxyArrayMethod(target, key, receiver);
+                    }
+                    
+                    const value = Reflect.get(target, key, receiver);
+                    const own = typeof key !== 'symbol' && Object.prototype.hasOwnProperty.call(target, key);
+                    
+                    // Reads of missing keys are tracked too, so adding the key later is seen
+                    if (Observer.target && typeof key !== 'symbol' && (own || !(key in target))) {
+                        Observer.target(this, this.pathOf(target, key));
+                    }
+                    
+                    if (!own || !utils.isObject(value)) {
+                        return value;
+                    }
+                    
+                    this._parents.set(this._targets.get(value) || value, { parent: target, key });
+                    return this._wrap(value);
+                },
+                set: (target, key, value, receiver) => {
+                    const had = Object.prototype.hasOwnProperty.call(target, key);
+                    const oldValue = target[key];
+                    const raw = this._targets.get(value) || value;
+                    const snapshot = utils.isArray(target) && !this._silent ? target.slice() : null;
+                    
+                    // Store raw objects; they are wrapped again when read
+                    const result = Reflect.set(target, key, raw, receiver);
+                    
+                    if ((had && oldValue === raw) || this._silent || typeof key === 'symbol') {
+                        return result;
+                    }
+                    
+                    if (snapshot && key === 'length') {
+                        this._notifyArray(target, snapshot, { type: 'length', index: raw, added: [], removed: snapshot.slice(raw) });
+                    } else if (snapshot) {
+                        this._notifyArray(target, snapshot, { type: 'set', index: Number(key), added: [raw], removed: had ? [oldValue] : [] });
                     } else {
-                        try {
-                            // Simple evaluation of expressions
-                            const value = new Function('data', `with(data) { return ${token.value}; }`)(data);
-                            return value !== undefined ? value : '';
-                        } catch (e) {
-                            console.error(`Template error: ${e.message}`);
-                            return '';
-                        }
+                        this.callback(key, raw, oldValue, this.pathOf(target, key), had ? undefined : { type: 'add' });
                     }
-                }).join('');
-            };
+                    
+                    return result;
+                },
+                deleteProperty: (target, key) => {
+                    const had = Object.prototype.hasOwnProperty.call(target, key);
+                    const oldValue = target[key];
+                    const result = Reflect.deleteProperty(target, key);
+                    
+                    if (had && !this._silent && typeof key !== 'symbol') {
+                        this.callback(key, undefined, oldValue, this.pathOf(target, key), { type: 'delete' });
+                    }
+                    
+                    return result;
+                }
+            });
             
-            this.cache[template] = render;
-            return render;
+            this._proxies.set(obj, proxy);
+            this._targets.set(proxy, obj);
+            return proxy;
         }
         
-        render(template, data) {
-            const renderFn = this.compile(template);
-            return renderFn(data);
+        _proxyArrayMethod(target, method, receiver) {
+            return (...args) => {
+                const snapshot = target.slice();
+                let result;
+                
+                this._silent++;
+                try {
+                    result = Array.prototype[method].apply(receiver, args);
+                } finally {
+                    this._silent--;
+                }
+                
+                this._notifyArray(target, snapshot, this._describeMutation(method, args, snapshot, result));
+                return result;
+            };
         }
         
-        escapeRegExp(string) {
-            return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        }
-    }
-
-    // Router
-    class Router extends EventEmitter {
-        constructor(options = {}) {
-            super();
+        _defineReactive(obj, key, value) {
+            if (utils.isObject(value)) {
+                this.observe(value, obj, key);
+            }
             
-            this.options = utils.extend({
-                mode: 'hash', // 'hash' or 'history'
-                root: '/'
-            }, options);
+            Object.defineProperty(obj, key, {
+                get: () => {
+                    if (Observer.target) {
+                        this._track(obj, key);
+                    }
+                    return value;
+                },
+                set: newValue => {
+                    if (value === newValue) return;
+                    
+                    const oldValue = value;
+                    value = newValue;
+                    
+                    if (utils.isObject(newValue)) {
+                        this.observe(newValue, obj, key);
+                    }
+                    
+                    if (this._silent) return;
+                    
+                    if (utils.isArray(obj)) {
+                        const snapshot = obj.slice();
+                        snapshot[key] = oldValue;
+                        this._notifyArray(obj, snapshot, { type: 'set', index: Number(key), added: [newValue], removed: [oldValue] });
+                    } else {
+                        this._notify(key, newValue, oldValue, obj, key);
+                    }
+                }
+            });
+        }
+        
+        _createArrayMethods() {
+            const observer = this;
+            const methods = Object.create(Array.prototype);
             
-            this.routes = [];
-            this.currentRoute = null;
+            Observer.ARRAY_METHODS.forEach(method => {
+                const original = Array.prototype[method];
+                
+                Object.defineProperty(methods, method, {
+                    value: function(...args) {
+                        const snapshot = this.slice();
+                        let result;
+                        
+                        // Index setters stay quiet while the native method shuffles elements around
+                        observer._silent++;
+                        try {
+                            result = original.apply(this, args);
+                        } finally {
+                            observer._silent--;
+                        }
+                        
+                        // Slots the method created are plain properties; make them (and their values) reactive
+                        for (let i = 0; i < this.length; i++) {
+                            const descriptor = Object.getOwnPropertyDescriptor(this, i);
+                            if (descriptor && !descriptor.get) {
+                                observer._defineReactive(this, String(i), this[i]);
+                            }
+                        }
+                        
+                        observer._notifyArray(this, snapshot, observer._describeMutation(method, args, snapshot, result));
+                        return result;
+                    },
+                    writable: true,
+                    configurable: true
+                });
+            });
             
-            this._init();
+            return methods;
         }
         
-        _init() {
-            if (this.options.mode === 'history') {
-                window.addEventListener('popstate', this._handlePopState.bind(this));
-            } else {
-                window.addEventListener('hashchange', this._handleHashChange.bind(this));
+        _describeMutation(method, args, snapshot, result) {
+            const length = snapshot.length;
+            
+            switch (method) {
+                case 'push':
+                    return { type: method, index: length, added: args, removed: [] };
+                case 'pop':
+                    return { type: method, index: Math.max(length - 1, 0), added: [], removed: length ? [result] : [] };
+                case 'shift':
+                    return { type: method, index: 0, added: [], removed: length ? [result] : [] };
+                case 'unshift':
+                    return { type: method, index: 0, added: args, removed: [] };
+                case 'splice': {
+                    const start = args[0] < 0 ? Math.max(length + args[0], 0) : Math.min(args[0] || 0, length);
+                    return { type: method, index: start, added: args.slice(2), removed: result };
+                }
+                default:
+                    // sort, reverse, fill and copyWithin rearrange the array in place
+                    return { type: method, index: 0, added: [], removed: [] };
             }
         }
         
-        _handlePopState() {
-            this.navigate(window.location.pathname.replace(this.options.root, ''));
+        // Array changes are reported against the array itself, with the index-level details in `mutation`
+        _notifyArray(arr, snapshot, mutation) {
+            const info = this._parents.get(arr);
+            const key = info ? this._keyOf(arr, info) : undefined;
+            
+            this._notify(key, arr, snapshot, arr, undefined, mutation);
         }
+    }
+    
+    // Dependency collector, called with (observer, path) for every reactive read while it is set
+    Observer.target = null;
+    
+    // Observer whose accessors an object carries, so other observers share it rather than redefine it
+    Observer.owners = new WeakMap();
+    
+    // Run fn while recording the reactive paths it reads into deps (a Map of observer to Set of paths)
+    Observer.track = function(deps, fn) {
+        const previous = Observer.target;
         
-        _handleHashChange() {
-            const hash = window.location.hash.slice(1);
-            this.navigate(hash);
+        Observer.target = (observer, path) => {
+            if (!deps.has(observer)) {
+                deps.set(observer, new Set());
+            }
+            deps.get(observer).add(path);
+        };
+        
+        try {
+            return fn();
+        } finally {
+            Observer.target = previous;
+        }
+    };
+    
+    // Whether a change at `path` can affect something that read `dependency`
+    Observer.affects = function(path, dependency) {
+        return dependency === path || dependency.indexOf(path + '.') === 0;
+    };
+    
+    // Array methods that change the array in place
+    Observer.ARRAY_METHODS = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'];
+
+    // CSP-safe expression parser and interpreter
+    class Expression {
+        constructor(source) {
+            this.source = source;
+            this.tokens = this._tokenize(source);
+            this.pos = 0;
+            this.ast = this._parseConditional();
+            
+            if (this.pos < this.tokens.length) {
+                this._fail(`Unexpected "${this.tokens[this.pos].value}"`);
+            }
         }
         
-        add(path, handler) {
-            this.routes.push({ path, handler });
-            return this;
+        evaluate(scope) {
+            return this._evaluate(this.ast, scope);
         }
         
-        remove(path) {
-            this.routes = this.routes.filter(route => route.path !== path);
-            return this;
+        _fail(message) {
+            throw new SyntaxError(`${message} in expression "${this.source}"`);
         }
         
-        navigate(path, replace = false) {
-            const route = this._findRoute(path);
+        _tokenize(source) {
+            const tokens = [];
+            const pattern = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_$][\w$]*)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(===|!==|==|!=|<=|>=|&&|\|\||\?\?|\?\.(?!\d)|[-+*\/%<>!?:.,()[\]{}]))/y;
+            let match;
             
-            if (route) {
-                this.currentRoute = {
-                    path,
-                    params: this._extractParams(route.path, path)
-                };
+            pattern.lastIndex = 0;
+            
+            while (pattern.lastIndex < source.length) {
+                const start = pattern.lastIndex;
                 
-                route.handler(this.currentRoute.params);
-                this.emit('navigate', this.currentRoute);
+                if (!(match = pattern.exec(source))) {
+                    if (/^\s*$/.test(source.slice(start))) break;
+                    this._fail(`Unexpected character "${source.slice(start).trim()[0]}"`);
+                }
                 
-                if (this.options.mode === 'history') {
-                    const url = this.options.root + path;
-                    if (replace) {
-                        window.history.replaceState({}, '', url);
-                    } else {
-                        window.history.pushState({}, '', url);
-                    }
+                if (match[1] !== undefined) {
+                    tokens.push({ type: 'number', value: Number(match[1]) });
+                } else if (match[2] !== undefined) {
+                    tokens.push({ type: 'identifier', value: match[2] });
+                } else if (match[3] !== undefined) {
+                    tokens.push({ type: 'string', value: this._unquote(match[3]) });
                 } else {
-                    if (replace) {
-                        window.location.replace('#' + path);
-                    } else {
-                        window.location.hash = path;
-                    }
+                    tokens.push({ type: 'punctuator', value: match[4] });
                 }
-                
-                return true;
             }
             
-            return false;
+            return tokens;
         }
         
-        _findRoute(path) {
-            for (let i = 0; i < this.routes.length; i++) {
-                const route = this.routes[i];
-                const pattern = this._pathToRegExp(route.path);
-                
-                if (pattern.test(path)) {
-                    return route;
-                }
-            }
+        _unquote(str) {
+            const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
             
-            return null;
+            return str.slice(1, -1).replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[\s\S])/g, (m, c) => {
+                if (c.length > 1) return String.fromCharCode(parseInt(c.slice(1), 16));
+                return escapes.hasOwnProperty(c) ? escapes[c] : c;
+            });
+        }
+        
+        _peek(value) {
+            const token = this.tokens[this.pos];
+            return token && token.type === 'punctuator' && (value === undefined || token.value === value) ? token : null;
         }
         
-        _pathToRegExp(path) {
-            const pattern = path
-                .replace(/\//g, '\\/') // Escape forward slashes
-                .replace(/:\w+/g, '([^/]+)'); // Replace :param with capture group
+        _accept(value) {
+            if (this._peek(value)) {
+                this.pos++;
+                return true;
+            }
             
-            return new RegExp('^' + pattern + '$');
+            return false;
         }
         
-        _extractParams(routePath, path) {
-            const params = {};
-            const paramNames = (routePath.match(/:\w+/g) || []).map(param => param.slice(1));
-            const paramValues = path.match(this._pathToRegExp(routePath)) || [];
+        _expect(value) {
+            if (!this._accept(value)) {
+                const token = this.tokens[this.pos];
+                this._fail(`Expected "${value}" but found ${token ? `"${token.value}"` : 'end of input'}`);
+            }
+        }
+        
+        _parseConditional() {
+            const test = this._parseBinary(0);
             
-            paramNames.forEach((name, index) => {
-                params[name] = paramValues[index + 1];
-            });
+            if (this._accept('?')) {
+                const consequent = this._parseConditional();
+                this._expect(':');
+                return { type: 'conditional', test, consequent, alternate: this._parseConditional() };
+            }
             
-            return params;
+            return test;
         }
         
-        start() {
-            if (this.options.mode === 'history') {
-                this.navigate(window.location.pathname.replace(this.options.root, ''));
-            } else {
-                const hash = window.location.hash.slice(1);
-                this.navigate(hash || '/');
+        _parseBinary(level) {
+            if (level === Expression.PRECEDENCE.length) {
+                return this._parseUnary();
             }
             
-            return this;
+            let left = this._parseBinary(level + 1);
+            let token;
+            
+            while ((token = this._peek()) && Expression.PRECEDENCE[level].indexOf(token.value) !== -1) {
+                this.pos++;
+                left = { type: 'binary', operator: token.value, left, right: this._parseBinary(level + 1) };
+            }
+            
+            return left;
+        }
+        
+        _parseUnary() {
+            const token = this.tokens[this.pos];
+            
+            if (token && (this._peek('!') || this._peek('-') || this._peek('+') || (token.type === 'identifier' && token.value === 'typeof'))) {
+                this.pos++;
+                return { type: 'unary', operator: token.value, argument: this._parseUnary() };
+            }
+            
+            return this._parseMember();
+        }
+        
+        _parseMember() {
+            let node = this._parsePrimary();
+            
+            for (;;) {
+                const optional = this._accept('?.');
+                
+                if (this._accept('(')) {
+                    node = { type: 'call', callee: node, args: this._parseList(')'), optional };
+                } else if (this._accept('[')) {
+                    node = { type: 'member', object: node, property: this._parseConditional(), computed: true, optional };
+                    this._expect(']');
+                } else if (optional || this._accept('.')) {
+                    const token = this.tokens[this.pos++];
+                    if (!token || token.type !== 'identifier') this._fail('Expected a property name');
+                    node = { type: 'member', object: node, property: token.value, computed: false, optional };
+                } else {
+                    return node;
+                }
+            }
+        }
+        
+        _parseList(close) {
+            const items = [];
+            
+            if (!this._accept(close)) {
+                do {
+                    items.push(this._parseConditional());
+                } while (this._accept(','));
+                this._expect(close);
+            }
+            
+            return items;
+        }
+        
+        _parsePrimary() {
+            const token = this.tokens[this.pos++];
+            
+            if (!token) {
+                this._fail('Unexpected end of input');
+            }
+            
+            if (token.type === 'number' || token.type === 'string') {
+                return { type: 'literal', value: token.value };
+            }
+            
+            if (token.type === 'identifier') {
+                if (Expression.LITERALS.hasOwnProperty(token.value)) {
+                    return { type: 'literal', value: Expression.LITERALS[token.value] };
+                }
+                
+                return { type: 'identifier', name: token.value };
+            }
+            
+            if (token.value === '(') {
+                const node = this._parseConditional();
+                this._expect(')');
+                return node;
+            }
+            
+            if (token.value === '[') {
+                return { type: 'array', elements: this._parseList(']') };
+            }
+            
+            if (token.value === '{') {
+                const properties = [];
+                
+                if (!this._accept('}')) {
+                    do {
+                        const key = this.tokens[this.pos++];
+                        if (!key || key.type === 'punctuator') this._fail('Expected a property key');
+                        this._expect(':');
+                        properties.push({ key: String(key.value), value: this._parseConditional() });
+                    } while (this._accept(','));
+                    this._expect('}');
+                }
+                
+                return { type: 'object', properties };
+            }
+            
+            this._fail(`Unexpected "${token.value}"`);
+        }
+        
+        _guard(name) {
+            if (Expression.BLOCKED.indexOf(name) !== -1) {
+                throw new Error(`Access to "${name}" is not allowed in template expressions`);
+            }
+            
+            return name;
+        }
+        
+        _evaluate(node, scope) {
+            switch (node.type) {
+                case 'literal':
+                    return node.value;
+                
+                case 'identifier':
+                    if (!(this._guard(node.name) in Object(scope))) {
+                        throw new ReferenceError(`${node.name} is not defined`);
+                    }
+                    return scope[node.name];
+                
+                case 'array':
+                    return node.elements.map(element => this._evaluate(element, scope));
+                
+                case 'object': {
+                    const result = {};
+                    node.properties.forEach(property => {
+                        result[this._guard(property.key)] = this._evaluate(property.value, scope);
+                    });
+                    return result;
+                }
+                
+                case 'member': {
+                    const object = this._evaluate(node.object, scope);
+                    if (object === null || object === undefined) {
+                        if (node.optional) return undefined;
+                        throw new TypeError(`Cannot read properties of ${object} (reading '${node.computed ? '[...]' : node.property}')`);
+                    }
+                    const key = node.computed ? this._evaluate(node.property, scope) : node.property;
+                    return object[this._guard(String(key))];
+                }
+                
+                case 'call': {
+                    let context = scope;
+                    let fn;
+                    
+                    if (node.callee.type === 'member') {
+                        context = this._evaluate(node.callee.object, scope);
+                        if (context === null || context === undefined) {
+                            if (node.callee.optional) return undefined;
+                            throw new TypeError(`Cannot read properties of ${context}`);
+                        }
+                        const key = node.callee.computed ? this._evaluate(node.callee.property, scope) : node.callee.property;
+                        fn = context[this._guard(String(key))];
+                    } else {
+                        fn = this._evaluate(node.callee, scope);
+                    }
+                    
+                    if (fn === null || fn === undefined) {
+                        if (node.optional) return undefined;
+                    }
+                    if (!utils.isFunction(fn) || fn === Function) {
+                        throw new TypeError('Expression is not a function');
+                    }
+                    
+                    return fn.apply(context, node.args.map(arg => this._evaluate(arg, scope)));
+                }
+                
+                case 'unary': {
+                    const value = this._evaluate(node.argument, scope);
+                    switch (node.operator) {
+                        case '!': return !value;
+                        case '-': return -value;
+                        case '+': return +value;
+                        default: return typeof value;
+                    }
+                }
+                
+                case 'conditional':
+                    return this._evaluate(node.test, scope) ?
+                        this._evaluate(node.consequent, scope) :
+                        this._evaluate(node.alternate, scope);
+                
+                case 'binary': {
+                    const left = this._evaluate(node.left, scope);
+                    
+                    // Short-circuit before evaluating the right-hand side
+                    if (node.operator === '&&') return left && this._evaluate(node.right, scope);
+                    if (node.operator === '||') return left || this._evaluate(node.right, scope);
+                    if (node.operator === '??') return left !== null && left !== undefined ? left : this._evaluate(node.right, scope);
+                    
+                    const right = this._evaluate(node.right, scope);
+                    switch (node.operator) {
+                        case '===': return left === right;
+                        case '!==': return left !== right;
+                        case '==': return left == right;
+                        case '!=': return left != right;
+                        case '<': return left < right;
+                        case '>': return left > right;
+                        case '<=': return left <= right;
+                        case '>=': return left >= right;
+                        case '+': return left + right;
+                        case '-': return left - right;
+                        case '*': return left * right;
+                        case '/': return left / right;
+                        default: return left % right;
+                    }
+                }
+            }
         }
     }
+    
+    // Binary operators from lowest to highest precedence
+    Expression.PRECEDENCE = [
+        ['||', '??'],
+        ['&&'],
+        ['===', '!==', '==', '!='],
+        ['<', '>', '<=', '>='],
+        ['+', '-'],
+        ['*', '/', '%']
+    ];
+    
+    Expression.LITERALS = { true: true, false: false, null: null, undefined: undefined };
+    
+    // Names that would let an expression escape the data scope
+    Expression.BLOCKED = [
+        'window', 'self', 'globalThis', 'global', 'document', 'Function', 'eval',
+        'constructor', 'prototype', '__proto__', '__defineGetter__', '__defineSetter__',
+        '__lookupGetter__', '__lookupSetter__'
+    ];
+    
+    // Whether the environment allows compiling code at runtime (blocked by CSP without 'unsafe-eval')
+    Expression.nativeSupported = function() {
+        if (Expression._nativeSupported === undefined) {
+            try {
+                Expression._nativeSupported = new Function('return true')();
+            } catch (e) {
+                Expression._nativeSupported = false;
+            }
+        }
+        
+        return Expression._nativeSupported;
+    };
 
-    // Animation system
-    class Animation {
+    // Template engine
+    class Template {
         constructor(options = {}) {
             this.options = utils.extend({
-                duration: 300,
-                easing: 'linear',
-                delay: 0
+                delimiters: ['{{', '}}'],
+                rawDelimiters: ['{{{', '}}}'],
+                escape: true,
+                autoEscape: true,
+                partials: {},
+                maxIncludeDepth: 100,
+                evaluator: null // 'native' (new Function) or 'safe'; defaults to 'safe' when eval is unavailable
             }, options);
             
-            this.easings = {
-                linear: t => t,
-                easeInQuad: t => t * t,
-                easeOutQuad: t => t * (2 - t),
-                easeInOutQuad: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
-                easeInCubic: t => t * t * t,
-                easeOutCubic: t => (--t) * t * t + 1,
-                easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1,
-                easeInQuart: t => t * t * t * t,
-                easeOutQuart: t => 1 - (--t) * t * t * t,
-                easeInOutQuart: t => t < 0.5 ? 8 * t * t * t * t : 1 - 8 * (--t) * t * t * t
+            if (!this.options.evaluator) {
+                this.options.evaluator = Expression.nativeSupported() ? 'native' : 'safe';
+            }
+            
+            this.cache = {};
+            this.partials = utils.extend({}, this.options.partials);
+            this._expressions = Object.create(null);
+        }
+        
+        registerPartial(name, template) {
+            if (utils.isObject(name)) {
+                utils.each(name, (source, key) => this.registerPartial(key, source));
+                return this;
+            }
+            
+            this.partials[name] = template;
+            return this;
+        }
+        
+        unregisterPartial(name) {
+            delete this.partials[name];
+            return this;
+        }
+        
+        compile(template) {
+            if (this.cache[template]) {
+                return this.cache[template];
+            }
+            
+            const nodes = this._parse(this._tokenize(template), template);
+            
+            const render = (data, context = {}) => {
+                return this._renderNodes(nodes, data, context);
             };
+            
+            this.cache[template] = render;
+            return render;
         }
         
-        animate(element, properties, options = {}) {
-            return new Promise(resolve => {
-                const opts = utils.extend({}, this.options, options);
-                const startTime = performance.now() + opts.delay;
-                const easing = typeof opts.easing === 'function' ? opts.easing : this.easings[opts.easing] || this.easings.linear;
-                const startValues = {};
-                const endValues = {};
+        render(template, data, context) {
+            const renderFn = this.compile(template);
+            return renderFn(data, context);
+        }
+        
+        evaluate(expression, data, context = {}) {
+            return this._evaluate(expression, data, context);
+        }
+        
+        escapeRegExp(string) {
+            return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+        
+        _tokenize(template) {
+            // Raw delimiters come first so "{{{" is never read as "{{" followed by "{"
+            const pattern = new RegExp(
+                this._delimiterPattern(this.options.rawDelimiters) + '|' + this._delimiterPattern(this.options.delimiters),
+                'g'
+            );
+            
+            const tokens = [];
+            const masked = this._maskDelimiters(template, pattern);
+            const urlValues = this._urlValues(template, masked);
+            let lastIndex = 0;
+            let match;
+            
+            while ((match = pattern.exec(template)) !== null) {
+                // URL attribute values built from several pieces are checked as a whole
+                const urlValue = utils.find(urlValues, value => match.index >= value.start && match.index < value.end);
                 
-                // Get start and end values
-                for (let prop in properties) {
-                    if (properties.hasOwnProperty(prop)) {
-                        let startValue = parseFloat(getComputedStyle(element)[prop]) || 0;
-                        let endValue = parseFloat(properties[prop]);
-                        let unit = (properties[prop] + '').replace(/^[+-]?\d+(?:\.\d+)?/, '') || '';
-                        
-                        startValues[prop] = { value: startValue, unit };
-                        endValues[prop] = { value: endValue, unit };
+                if (urlValue) {
+                    if (urlValue.start > lastIndex) {
+                        this._pushText(tokens, template, masked, lastIndex, urlValue.start);
                     }
+                    
+                    tokens.push({ type: 'url', attribute: urlValue.attribute, unquoted: urlValue.unquoted, parts: urlValue.parts, index: urlValue.start });
+                    lastIndex = pattern.lastIndex = urlValue.end;
+                    continue;
                 }
                 
-                const tick = (currentTime) => {
-                    if (currentTime < startTime) {
-                        requestAnimationFrame(tick);
-                        return;
-                    }
-                    
-                    const elapsed = currentTime - startTime;
-                    const progress = Math.min(elapsed / opts.duration, 1);
-                    const easedProgress = easing(progress);
-                    
-                    // Update properties
-                    for (let prop in startValues) {
-                        if (startValues.hasOwnProperty(prop)) {
-                            const start = startValues[prop].value;
-                            const end = endValues[prop].value;
-                            const unit = startValues[prop].unit;
-                            const value = start + (end - start) * easedProgress;
-                            
-                            element.style[prop] = value + unit;
-                        }
-                    }
+                if (match.index > lastIndex) {
+                    this._pushText(tokens, template, masked, lastIndex, match.index);
+                }
+                
+                if (match[1] !== undefined) {
+                    tokens.push({ type: 'raw', value: match[1].trim(), index: match.index });
+                } else {
+                    const token = this._classifyTag(match[2].trim(), match.index);
                     
-                    if (progress < 1) {
-                        requestAnimationFrame(tick);
-                    } else {
-                        // Ensure final values are set
-                        for (let prop in endValues) {
-                            if (endValues.hasOwnProperty(prop)) {
-                                element.style[prop] = endValues[prop].value + endValues[prop].unit;
-                            }
-                        }
-                        
-                        if (opts.complete) {
-                            opts.complete.call(element);
-                        }
+                    if (token.type === 'expression') {
+                        const attribute = this._attributeContext(masked, match.index);
                         
-                        resolve(element);
+                        token.attribute = attribute && attribute.name;
+                        token.unquoted = !!attribute && !attribute.quoted;
                     }
-                };
+                    
+                    tokens.push(token);
+                }
                 
-                requestAnimationFrame(tick);
-            });
+                lastIndex = pattern.lastIndex;
+            }
+            
+            if (lastIndex < template.length) {
+                this._pushText(tokens, template, masked, lastIndex, template.length);
+            }
+            
+            return tokens;
         }
         
-        fadeIn(element, options = {}) {
-            element.style.opacity = 0;
-            element.style.display = options.display || 'block';
+        // Push static markup, splitting out directive attributes such as @click="save" or k-on:submit.prevent="send"
+        _pushText(tokens, template, masked, start, end) {
+            const text = template.substring(start, end);
+            const pattern = /(\s)(@[\w-]+|:[\w-]+|k-[\w-]+(?::[\w-]+)?)((?:\.[\w-]+)*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            let lastIndex = 0;
+            let match;
             
-            return this.animate(element, { opacity: 1 }, options);
+            while ((match = pattern.exec(text)) !== null) {
+                const index = start + match.index + 1;
+                const prefix = match[2].charAt(0);
+                const attribute = prefix === '@' || prefix === ':' ?
+                    { name: prefix === '@' ? 'on' : 'bind', arg: match[2].slice(1) } :
+                    { name: match[2].slice(2).split(':')[0], arg: match[2].split(':')[1] || null };
+                
+                if (Template.DIRECTIVES.indexOf(attribute.name) === -1 || !this._insideTag(masked, index)) {
+                    continue;
+                }
+                
+                if (match.index + 1 > lastIndex) {
+                    tokens.push({ type: 'text', value: text.substring(lastIndex, match.index + 1) });
+                }
+                
+                tokens.push({
+                    type: 'directive',
+                    name: attribute.name,
+                    arg: attribute.arg,
+                    modifiers: match[3] ? match[3].slice(1).split('.') : [],
+                    value: (match[4] !== undefined ? match[4] : match[5]).trim(),
+                    tag: (masked.substring(masked.lastIndexOf('<', index) + 1).match(/^[\w-]+/) || [''])[0].toLowerCase(),
+                    index
+                });
+                
+                lastIndex = pattern.lastIndex;
+            }
+            
+            if (lastIndex < text.length) {
+                tokens.push({ type: 'text', value: text.substring(lastIndex) });
+            }
         }
         
-        fadeOut(element, options = {}) {
-            return this.animate(element, { opacity: 0 }, utils.extend({}, options, {
-                complete: () => {
-                    element.style.display = 'none';
-                    if (options.complete) {
-                        options.complete.call(element);
-                    }
-                }
-            }));
+        _delimiterPattern(delimiters) {
+            return this.options.escape ? 
+                this.escapeRegExp(delimiters[0]) + '\\s*(.+?)\\s*' + this.escapeRegExp(delimiters[1]) :
+                delimiters[0] + '\\s*(.+?)\\s*' + delimiters[1];
         }
         
-        slideDown(element, options = {}) {
-            const height = element.scrollHeight;
-            element.style.overflow = 'hidden';
-            element.style.height = 0;
-            element.style.display = options.display || 'block';
-            element.style.paddingTop = 0;
-            element.style.paddingBottom = 0;
-            element.style.marginTop = 0;
-            element.style.marginBottom = 0;
+        // Blank out {{ }} spans so a ">" or quote inside an expression is not mistaken for markup
+        _maskDelimiters(template, pattern) {
+            return template.replace(pattern, match => '\0'.repeat(match.length));
+        }
+        
+        // URL attribute values that mix interpolations with text or with each other, split into their parts
+        _urlValues(template, masked) {
+            const values = [];
+            const pattern = /([^\s"'<>\/=\0]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+            let match;
             
-            return this.animate(element, {
-                height: height + 'px',
-                paddingTop: '',
+            while ((match = pattern.exec(masked)) !== null) {
+                const attribute = match[1].toLowerCase();
+                const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+                
+                if (Template.URL_ATTRIBUTES.indexOf(attribute) === -1 || value.indexOf('\0') === -1 || !this._insideTag(masked, match.index)) {
+                    continue;
+                }
+                
+                const end = match.index + match[0].length - (match[4] !== undefined ? 0 : 1);
+                const start = end - value.length;
+                const parts = this._urlParts(template.substring(start, end));
+                
+                if (parts) {
+                    values.push({ attribute, start, end, parts, unquoted: match[4] !== undefined });
+                }
+            }
+            
+            return values;
+        }
+        
+        // Text and output parts of one attribute value; null when it is a single output or contains blocks
+        _urlParts(source) {
+            const pattern = new RegExp(
+                this._delimiterPattern(this.options.rawDelimiters) + '|' + this._delimiterPattern(this.options.delimiters),
+                'g'
+            );
+            const parts = [];
+            let lastIndex = 0;
+            let match;
+            
+            while ((match = pattern.exec(source)) !== null) {
+                if (match.index > lastIndex) {
+                    parts.push({ type: 'text', value: source.substring(lastIndex, match.index) });
+                }
+                
+                if (match[1] !== undefined) {
+                    parts.push({ type: 'raw', value: match[1].trim() });
+                } else {
+                    const token = this._classifyTag(match[2].trim(), 0);
+                    if (token.type !== 'expression') return null;
+                    parts.push({ type: 'expression', value: token.value });
+                }
+                
+                lastIndex = pattern.lastIndex;
+            }
+            
+            if (lastIndex < source.length) {
+                parts.push({ type: 'text', value: source.substring(lastIndex) });
+            }
+            
+            return parts.length > 1 ? parts : null;
+        }
+        
+        _insideTag(template, index) {
+            const tagStart = template.lastIndexOf('<', index);
+            return tagStart !== -1 && template.lastIndexOf('>', index) < tagStart;
+        }
+        
+        // { name, quoted } of the attribute whose value contains the given position, or null outside one
+        _attributeContext(template, index) {
+            if (!this._insideTag(template, index)) {
+                return null;
+            }
+            
+            const tagStart = template.lastIndexOf('<', index);
+            const match = template.substring(tagStart, index).match(/([^\s"'<>\/=]+)\s*=\s*(?:("[^"]*|'[^']*)|[^\s"'>]*)$/);
+            return match ? { name: match[1].toLowerCase(), quoted: match[2] !== undefined } : null;
+        }
+        
+        _classifyTag(value, index) {
+            let match;
+            
+            // {{#if cond}}, {{#each items as item, index}}
+            if ((match = value.match(/^#(\w+)\s*([\s\S]*)$/))) {
+                return { type: 'open', name: match[1], value: match[2].trim(), index };
+            }
+            
+            // {{/if}}, {{/each}}
+            if ((match = value.match(/^\/(\w+)$/))) {
+                return { type: 'close', name: match[1], index };
+            }
+            
+            // {{else}}, {{else if cond}}
+            if ((match = value.match(/^else(?:\s+if\s+([\s\S]+))?$/))) {
+                return { type: 'else', value: match[1] ? match[1].trim() : null, index };
+            }
+            
+            // {{> userCard}}, {{> userCard user}}
+            if ((match = value.match(/^>\s*([\w$.\-\/]+)\s*([\s\S]*)$/))) {
+                return { type: 'partial', name: match[1], value: match[2].trim() || null, index };
+            }
+            
+            return { type: 'expression', value, index };
+        }
+        
+        _parse(tokens, template) {
+            const root = { type: 'root', children: [] };
+            const stack = [root];
+            let target = root.children;
+            
+            const fail = (message, token) => {
+                const line = template.substring(0, token.index).split('\n').length;
+                throw new Error(`Template error: ${message} on line ${line}`);
+            };
+            
+            tokens.forEach(token => {
+                const block = stack[stack.length - 1];
+                
+                if (['text', 'expression', 'raw', 'url', 'partial', 'directive'].indexOf(token.type) !== -1) {
+                    target.push(token);
+                } else if (token.type === 'open') {
+                    let node;
+                    
+                    if (token.name === 'if') {
+                        if (!token.value) fail('Missing condition for "#if"', token);
+                        node = { type: 'if', branches: [{ test: token.value, children: [] }] };
+                    } else if (token.name === 'each') {
+                        const match = token.value.match(/^([\s\S]+?)(?:\s+as\s+([A-Za-z_$][\w$]*)(?:\s*,\s*([A-Za-z_$][\w$]*))?)?$/);
+                        if (!match) fail('Missing source for "#each"', token);
+                        node = {
+                            type: 'each',
+                            source: match[1],
+                            item: match[2] || 'item',
+                            index: match[3] || 'index',
+                            children: [],
+                            alternate: null
+                        };
+                    } else if (token.name === 'extends' || token.name === 'block') {
+                        const name = token.value.replace(/^(["'])(.*)\1$/, '$2');
+                        if (!name) fail(`Missing name for "#${token.name}"`, token);
+                        node = { type: token.name, name, children: [] };
+                    } else {
+                        fail(`Unknown block "#${token.name}"`, token);
+                    }
+                    
+                    node.token = token;
+                    target.push(node);
+                    stack.push(node);
+                    target = this._lastTarget(node);
+                } else if (token.type === 'else') {
+                    if (block === root) {
+                        fail('Unexpected "else" outside of a block', token);
+                    }
+                    
+                    if (block.type === 'if') {
+                        const last = block.branches[block.branches.length - 1];
+                        if (last.test === null) fail('Unexpected "else" after the final "else"', token);
+                        block.branches.push({ test: token.value, children: [] });
+                        target = block.branches[block.branches.length - 1].children;
+                    } else if (block.type === 'each') {
+                        if (token.value !== null) fail('"else if" is only allowed inside "#if"', token);
+                        if (block.alternate) fail('Unexpected "else" after the final "else"', token);
+                        block.alternate = [];
+                        target = block.alternate;
+                    } else {
+                        fail(`Unexpected "else" inside "#${block.type}"`, token);
+                    }
+                } else if (token.type === 'close') {
+                    if (block === root) {
+                        fail(`Unexpected "/${token.name}" without a matching "#${token.name}"`, token);
+                    }
+                    if (block.type !== token.name) {
+                        fail(`"/${token.name}" does not close "#${block.type}"`, token);
+                    }
+                    
+                    stack.pop();
+                    const parent = stack[stack.length - 1];
+                    target = parent === root ? root.children : this._lastTarget(parent);
+                }
+            });
+            
+            if (stack.length > 1) {
+                const block = stack[stack.length - 1];
+                fail(`Unclosed "#${block.type}"`, block.token);
+            }
+            
+            return root.children;
+        }
+        
+        _lastTarget(block) {
+            if (block.type === 'if') {
+                return block.branches[block.branches.length - 1].children;
+            }
+            
+            return block.alternate || block.children;
+        }
+        
+        _renderNodes(nodes, scope, context) {
+            return nodes.map(node => this._renderNode(node, scope, context)).join('');
+        }
+        
+        _renderNode(node, scope, context) {
+            if (node.type === 'text') {
+                return node.value;
+            }
+            
+            if (node.type === 'url') {
+                return this._renderUrl(node, scope, context);
+            }
+            
+            if (node.type === 'if') {
+                const branch = utils.find(node.branches, branch => {
+                    return branch.test === null || this._evaluate(branch.test, scope, context);
+                });
+                
+                return branch ? this._renderNodes(branch.children, scope, context) : '';
+            }
+            
+            if (node.type === 'each') {
+                const source = this._evaluate(node.source, scope, context);
+                const output = [];
+                
+                // Loop variables live on a child scope so they shadow, but never overwrite, outer data
+                utils.each(source, (value, key) => {
+                    const local = Object.create(scope);
+                    local[node.item] = value;
+                    local[node.index] = key;
+                    output.push(this._renderNodes(node.children, local, context));
+                });
+                
+                if (!output.length && node.alternate) {
+                    return this._renderNodes(node.alternate, scope, context);
+                }
+                
+                return output.join('');
+            }
+            
+            // Directives are turned into markup by whoever renders the template, e.g. a Kiwi instance
+            if (node.type === 'directive') {
+                return context.directive ? context.directive(node, scope) || '' : '';
+            }
+            
+            if (node.type === 'partial') {
+                const local = node.value ? this._evaluate(node.value, scope, context) : scope;
+                return this._renderPartial(node.name, utils.isObject(local) ? local : {}, context);
+            }
+            
+            if (node.type === 'extends') {
+                // The most derived template wins, so only fill in blocks nobody below us has overridden
+                const blocks = Object.assign({}, context.blocks);
+                
+                node.children.forEach(child => {
+                    if (child.type === 'block' && !blocks[child.name]) {
+                        blocks[child.name] = child;
+                    }
+                });
+                
+                return this._renderPartial(node.name, scope, Object.assign({}, context, { blocks }));
+            }
+            
+            if (node.type === 'block') {
+                const override = context.blocks && context.blocks[node.name];
+                
+                if (override) {
+                    const blocks = Object.assign({}, context.blocks);
+                    delete blocks[node.name];
+                    return this._renderNodes(override.children, scope, Object.assign({}, context, { blocks }));
+                }
+                
+                return this._renderNodes(node.children, scope, context);
+            }
+            
+            const value = this._evaluate(node.value, scope, context);
+            
+            if (node.type === 'raw' || !this.options.autoEscape) {
+                return value !== undefined ? value : '';
+            }
+            
+            const safe = Template.URL_ATTRIBUTES.indexOf(node.attribute) !== -1 ? this.sanitizeUrl(value) : value;
+            
+            if (node.unquoted) {
+                const html = utils.escapeAttribute(safe);
+                return html === '' ? '""' : html;
+            }
+            
+            return utils.escapeHtml(safe);
+        }
+        
+        // Sanitise the assembled value so "{{ scheme }}{{ rest }}" cannot spell out javascript:
+        _renderUrl(node, scope, context) {
+            const values = node.parts.map(part => {
+                if (part.type === 'text') return part.value;
+                
+                const value = this._evaluate(part.value, scope, context);
+                return value === null || value === undefined ? '' : String(value);
+            });
+            const url = values.join('');
+            const escape = node.unquoted ? utils.escapeAttribute : utils.escapeHtml;
+            const html = node.parts.map((part, index) => {
+                return part.type === 'expression' && this.options.autoEscape ? escape(values[index]) : values[index];
+            }).join('');
+            
+            if (this.sanitizeUrl(url) !== url) {
+                return 'unsafe:' + html;
+            }
+            
+            return node.unquoted && html === '' ? '""' : html;
+        }
+        
+        _renderPartial(name, scope, context) {
+            const includes = context.includes || [];
+            
+            if (!utils.isString(this.partials[name])) {
+                console.error(`Template error: Unknown partial "${name}"`);
+                return '';
+            }
+            
+            // Re-entering a partial with the same scope can never terminate
+            if (includes.some(include => include.name === name && include.scope === scope) || includes.length >= this.options.maxIncludeDepth) {
+                const trail = includes.map(include => include.name).concat(name).join(' > ');
+                console.error(`Template error: Recursive include of partial "${name}" (${trail})`);
+                return '';
+            }
+            
+            return this.compile(this.partials[name])(scope, Object.assign({}, context, {
+                includes: includes.concat({ name, scope })
+            }));
+        }
+        
+        sanitizeUrl(value) {
+            if (value === null || value === undefined) return value;
+            
+            // Browsers ignore whitespace and control characters inside the scheme
+            const url = String(value).replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+            
+            if (/^(?:javascript|vbscript):/i.test(url) || (/^data:/i.test(url) && !/^data:image\/(?:png|gif|jpe?g|webp);/i.test(url))) {
+                return 'unsafe:' + value;
+            }
+            
+            return value;
+        }
+        
+        _evaluate(expression, scope, context) {
+            try {
+                const compiled = this._compileExpression(expression);
+                let value = compiled.evaluate(scope);
+                
+                compiled.filters.forEach(filter => {
+                    value = this._applyFilter(filter, value, scope, context);
+                });
+                
+                return value;
+            } catch (e) {
+                console.error(`Template error: ${e.message}`);
+                return undefined;
+            }
+        }
+        
+        _compileExpression(expression) {
+            if (!this._expressions[expression]) {
+                const segments = this._splitPipes(expression);
+                
+                this._expressions[expression] = {
+                    evaluate: this._createEvaluator(segments[0]),
+                    filters: segments.slice(1).map(segment => {
+                        const match = segment.match(/^([A-Za-z_$][\w$]*)\s*(?:\(([\s\S]*)\))?$/);
+                        
+                        if (!match) {
+                            throw new Error(`Invalid filter "${segment}" in "${expression}"`);
+                        }
+                        
+                        return {
+                            name: match[1],
+                            args: match[2] && match[2].trim() ? this._createEvaluator(`[${match[2]}]`) : null
+                        };
+                    })
+                };
+            }
+            
+            return this._expressions[expression];
+        }
+        
+        _createEvaluator(expression) {
+            if (this.options.evaluator === 'safe') {
+                const compiled = new Expression(expression);
+                return data => compiled.evaluate(data);
+            }
+            
+            return new Function('data', `with(data) { return ${expression}; }`);
+        }
+        
+        // Split "value | currency('EUR') | default('-')" on pipes outside strings, brackets and "||"
+        _splitPipes(expression) {
+            const segments = [];
+            let depth = 0;
+            let quote = null;
+            let start = 0;
+            
+            for (let i = 0; i < expression.length; i++) {
+                const c = expression[i];
+                
+                if (quote) {
+                    if (c === '\\') {
+                        i++;
+                    } else if (c === quote) {
+                        quote = null;
+                    }
+                } else if (c === '"' || c === "'" || c === '`') {
+                    quote = c;
+                } else if (c === '(' || c === '[' || c === '{') {
+                    depth++;
+                } else if (c === ')' || c === ']' || c === '}') {
+                    depth--;
+                } else if (c === '|' && depth === 0 && expression[i + 1] !== '|' && expression[i - 1] !== '|') {
+                    segments.push(expression.substring(start, i).trim());
+                    start = i + 1;
+                }
+            }
+            
+            segments.push(expression.substring(start).trim());
+            return segments;
+        }
+        
+        _resolveFilter(name, context) {
+            const sources = [context && context.filters, this.options.filters, Template.filters];
+            
+            for (let i = 0; i < sources.length; i++) {
+                if (sources[i] && sources[i].hasOwnProperty(name) && utils.isFunction(sources[i][name])) {
+                    return sources[i][name];
+                }
+            }
+            
+            return null;
+        }
+        
+        _applyFilter(filter, value, scope, context) {
+            const fn = this._resolveFilter(filter.name, context);
+            
+            if (!fn) {
+                throw new Error(`Unknown filter "${filter.name}"`);
+            }
+            
+            let result;
+            
+            try {
+                result = fn(value, ...(filter.args ? filter.args(scope) : []));
+            } catch (e) {
+                throw new Error(`Filter "${filter.name}" failed: ${e.message}`);
+            }
+            
+            // Rendering is synchronous; report a returned promise instead of printing "[object Promise]"
+            if (result && utils.isFunction(result.then)) {
+                result.then(null, e => {
+                    console.error(`Template error: Filter "${filter.name}" failed: ${e && e.message}`);
+                });
+                throw new Error(`Filter "${filter.name}" returned a Promise; filters must be synchronous`);
+            }
+            
+            return result;
+        }
+    }
+
+    // Built-in filters, shared by every Template and extended through Kiwi.filter()
+    Template.filters = {
+        uppercase: value => value === null || value === undefined ? '' : String(value).toUpperCase(),
+        lowercase: value => value === null || value === undefined ? '' : String(value).toLowerCase(),
+        capitalize: value => utils.capitalize(value === null || value === undefined ? '' : String(value)),
+        trim: value => utils.trim(value),
+        default: (value, fallback = '') => value === null || value === undefined || value === '' ? fallback : value,
+        truncate: (value, length = 50, suffix = '\u2026') => {
+            const str = value === null || value === undefined ? '' : String(value);
+            return str.length > length ? str.slice(0, length) + suffix : str;
+        },
+        number: (value, decimals, locale) => {
+            return Number(value).toLocaleString(locale, decimals === undefined ? {} : {
+                minimumFractionDigits: decimals,
+                maximumFractionDigits: decimals
+            });
+        },
+        currency: (value, currency = 'USD', locale) => {
+            return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(Number(value));
+        },
+        date: (value, format = {}, locale) => {
+            const date = value instanceof Date ? value : new Date(value);
+            return date.toLocaleDateString(locale, utils.isString(format) ? { dateStyle: format } : format);
+        },
+        pluralize: (count, singular, plural = singular + 's') => Number(count) === 1 ? singular : plural,
+        join: (value, separator = ', ') => utils.isArray(value) ? value.join(separator) : value,
+        json: (value, indent = 2) => JSON.stringify(value, null, indent)
+    };
+    
+    // Attribute directives recognised in markup: @event / k-on:event, k-model, :attr / k-bind:attr
+    Template.DIRECTIVES = ['on', 'model', 'bind'];
+    
+    // Attributes whose interpolated values are treated as URLs
+    Template.URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'background', 'xlink:href'];
+
+    // DOM patching renderer
+    class Renderer {
+        patch(element, html) {
+            const template = document.createElement('template');
+            template.innerHTML = html;
+            
+            this._patchChildren(element, template.content);
+            return element;
+        }
+        
+        _patchChildren(parent, next) {
+            const oldChildren = Array.from(parent.childNodes);
+            const newChildren = Array.from(next.childNodes);
+            const keyed = {};
+            const unkeyed = [];
+            const used = new Set();
+            
+            oldChildren.forEach(child => {
+                const key = this._key(child);
+                if (key !== null) {
+                    keyed[key] = child;
+                } else {
+                    unkeyed.push(child);
+                }
+            });
+            
+            let cursor = 0;
+            
+            newChildren.forEach((child, index) => {
+                const key = this._key(child);
+                let match = null;
+                
+                if (key !== null) {
+                    match = keyed[key] && !used.has(keyed[key]) && this._sameType(keyed[key], child) ? keyed[key] : null;
+                } else {
+                    // Reuse the next unkeyed node of the same type, keeping relative order
+                    for (let i = cursor; i < unkeyed.length; i++) {
+                        if (this._sameType(unkeyed[i], child)) {
+                            match = unkeyed[i];
+                            cursor = i + 1;
+                            break;
+                        }
+                    }
+                }
+                
+                const reference = parent.childNodes[index] || null;
+                
+                if (match) {
+                    used.add(match);
+                    if (match !== reference) {
+                        parent.insertBefore(match, reference);
+                    }
+                    this._patchNode(match, child);
+                } else {
+                    parent.insertBefore(child, reference);
+                }
+            });
+            
+            oldChildren.forEach(child => {
+                if (!used.has(child) && child.parentNode === parent) {
+                    parent.removeChild(child);
+                }
+            });
+        }
+        
+        _patchNode(current, next) {
+            if (current.nodeType !== 1) {
+                if (current.nodeValue !== next.nodeValue) {
+                    current.nodeValue = next.nodeValue;
+                }
+                return;
+            }
+            
+            this._patchAttributes(current, next);
+            
+            if (!this._ownsChildren(current)) {
+                this._patchChildren(current, next.nodeName === 'TEMPLATE' ? next.content : next);
+            }
+        }
+        
+        // Elements whose children are managed by someone else: a child component or an editable region bound with k-model
+        _ownsChildren(element) {
+            return !!element._kiwi || (element.hasAttribute('data-k-model') &&
+                element.hasAttribute('contenteditable') && element.getAttribute('contenteditable') !== 'false');
+        }
+        
+        _patchAttributes(current, next) {
+            Array.from(current.attributes).forEach(attr => {
+                if (!next.hasAttribute(attr.name)) {
+                    current.removeAttribute(attr.name);
+                    this._syncProperty(current, attr.name, null);
+                }
+            });
+            
+            Array.from(next.attributes).forEach(attr => {
+                if (current.getAttribute(attr.name) !== attr.value) {
+                    current.setAttribute(attr.name, attr.value);
+                    this._syncProperty(current, attr.name, attr.value);
+                }
+            });
+        }
+        
+        // Attributes only set the default state of form controls; mirror changes onto the live properties
+        _syncProperty(element, name, value) {
+            if (name === 'value' && 'value' in element && element.value !== (value || '')) {
+                element.value = value || '';
+            } else if ((name === 'checked' || name === 'selected') && name in element) {
+                element[name] = value !== null;
+            }
+        }
+        
+        _key(node) {
+            return node.nodeType === 1 ? node.getAttribute('key') : null;
+        }
+        
+        _sameType(a, b) {
+            return a.nodeType === b.nodeType && a.nodeName === b.nodeName;
+        }
+    }
+
+    // Router
+    class Router extends EventEmitter {
+        constructor(options = {}) {
+            super();
+            
+            this.options = utils.extend({
+                mode: 'hash', // 'hash', 'history' or 'memory' (keeps its own history and never touches the page URL)
+                root: '/',
+                initialUrl: '/', // where memory mode starts
+                interceptLinks: true, // route same-origin <a href> clicks in history mode
+                activeClass: 'active', // added to links pointing at the current route or one of its parents
+                // After each navigation (not in memory mode): scroll, move focus and announce the new page
+                scrollBehavior: null, // (to, from, saved) => { x, y } | { selector, offset } | false, or a promise of one
+                focus: 'h1', // selector or (to) => element to focus; false leaves focus alone
+                announce: true // announce the page title through a live region; or (to, title) => message
+            }, options);
+            
+            this.routes = [];
+            this.currentRoute = null;
+            this._names = {};
+            
+            // Navigation guards and bookkeeping for cancelling browser back/forward
+            this._beforeHooks = [];
+            this._afterHooks = [];
+            this._navigationId = 0;
+            this._position = 0;
+            this._reverting = false;
+            this._scrollPositions = {};
+            
+            this._init();
+        }
+        
+        _init() {
+            // Memory mode history: the entries and, in this._position, the current index
+            this._stack = [];
+            
+            this._onPopState = this._handlePopState.bind(this);
+            this._onHashChange = this._handleHashChange.bind(this);
+            this._onClick = this._handleClick.bind(this);
+            
+            if (this.options.mode === 'history') {
+                window.addEventListener('popstate', this._onPopState);
+                
+                // The router restores scroll positions itself
+                if ('scrollRestoration' in window.history) {
+                    window.history.scrollRestoration = 'manual';
+                }
+                
+                if (this.options.interceptLinks) {
+                    dom.on(document, 'click', this._onClick);
+                }
+            } else if (this.options.mode === 'hash') {
+                window.addEventListener('hashchange', this._onHashChange);
+            }
+        }
+        
+        // Remove the window and document listeners and drop navigations still in flight
+        destroy() {
+            if (typeof window !== 'undefined') {
+                window.removeEventListener('popstate', this._onPopState);
+                window.removeEventListener('hashchange', this._onHashChange);
+                dom.off(document, 'click', this._onClick);
+                
+                if (this.options.mode === 'history' && 'scrollRestoration' in window.history) {
+                    window.history.scrollRestoration = 'auto';
+                }
+            }
+            
+            if (this._liveRegion && this._liveRegion.parentNode) {
+                this._liveRegion.parentNode.removeChild(this._liveRegion);
+            }
+            this._liveRegion = null;
+            
+            this._navigationId++;
+            this._events = {};
+            
+            return this;
+        }
+        
+        back() {
+            return this.go(-1);
+        }
+        
+        forward() {
+            return this.go(1);
+        }
+        
+        // In memory mode resolves to the navigation outcome, or null when there is no such entry
+        go(n) {
+            if (this.options.mode !== 'memory') {
+                window.history.go(n);
+                return Promise.resolve(null);
+            }
+            
+            const position = this._position + n;
+            
+            if (!n || position < 0 || position >= this._stack.length) {
+                return Promise.resolve(null);
+            }
+            
+            return this._navigate(this._stack[position], { source: 'memory', position });
+        }
+        
+        _handlePopState(event) {
+            // The history.go() that undid a cancelled navigation
+            if (this._reverting) {
+                this._reverting = false;
+                return;
+            }
+            
+            const state = event && event.state;
+            
+            this._navigate(this._browserPath(), {
+                source: 'popstate',
+                position: state && utils.isNumber(state.position) ? state.position : undefined
+            });
+        }
+        
+        _handleHashChange() {
+            const hash = window.location.hash.slice(1);
+            
+            // Our own hash writes and reverts land on the current route
+            if (this.currentRoute && this._parseLocation(hash).fullPath === this.currentRoute.fullPath) return;
+            
+            this._navigate(hash, { source: 'hashchange' });
+        }
+        
+        // Route plain link clicks without a page reload; anything the browser should handle itself is left alone
+        _handleClick(event) {
+            if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+            
+            const link = event.target && event.target.closest ? dom.closest(event.target, 'a[href]') : null;
+            if (!link) return;
+            
+            const target = link.getAttribute('target');
+            if ((target && target !== '_self') || link.hasAttribute('download') || link.getAttribute('rel') === 'external') return;
+            
+            const path = this._linkPath(link);
+            if (path === null || !this._match(this._parseLocation(path).path)) return;
+            
+            event.preventDefault();
+            this.navigate(path);
+        }
+        
+        // Router path of a same-origin link under the root, or null
+        _linkPath(link) {
+            if (this.options.mode === 'memory') {
+                const href = link.getAttribute('href');
+                return href.charAt(0) === '/' ? href : null;
+            }
+            
+            if (link.origin !== window.location.origin) return null;
+            
+            if (this.options.mode !== 'history') {
+                return link.hash.charAt(1) === '/' ? link.hash.slice(1) : null;
+            }
+            
+            const root = this.options.root.replace(/\/$/, '');
+            const pathname = link.pathname;
+            
+            if (root && pathname !== root && pathname.indexOf(root + '/') !== 0) return null;
+            
+            return pathname.slice(root.length) + link.search + link.hash;
+        }
+        
+        // Toggle the active class on links; exact matches also get aria-current
+        updateLinks(container = document) {
+            const current = this.currentRoute;
+            
+            dom.queryAll('a[href]', container).forEach(link => {
+                const path = this._linkPath(link);
+                const linkPath = path === null ? null : this._parseLocation(path).path;
+                const exact = !!current && linkPath === current.path;
+                const active = exact || (!!current && linkPath !== null && linkPath !== '/' && current.path.indexOf(linkPath + '/') === 0);
+                
+                link.classList.toggle(this.options.activeClass, active);
+                
+                if (exact) {
+                    link.setAttribute('aria-current', 'page');
+                } else if (link.getAttribute('aria-current') === 'page') {
+                    link.removeAttribute('aria-current');
+                }
+            });
+            
+            return this;
+        }
+        
+        isActive(path, exact = false) {
+            const current = this.currentRoute;
+            if (!current) return false;
+            
+            path = this._parseLocation(path).path;
+            
+            return path === current.path || (!exact && path !== '/' && current.path.indexOf(path + '/') === 0);
+        }
+        
+        // Current location relative to the router root, including query and hash
+        _browserPath() {
+            const root = this.options.root.replace(/\/$/, '');
+            let path = window.location.pathname;
+            
+            if (root && path.indexOf(root) === 0) {
+                path = path.slice(root.length);
+            }
+            
+            return path + window.location.search + window.location.hash;
+        }
+        
+        // Accepts add(path, handler, children) or add({ path, handler, children })
+        add(path, handler, children) {
+            const definition = utils.isObject(path) ? path : { path, handler, children };
+            
+            this.routes.push(this._createRecord(definition, null));
+            return this;
+        }
+        
+        // Remove a route, and the routes nested under it, by path or name
+        remove(pathOrName) {
+            const path = this._normalizePath(pathOrName);
+            const prune = records => records.filter(record => {
+                if (record.path === path || (record.name && record.name === pathOrName)) {
+                    this._forgetRecord(record);
+                    return false;
+                }
+                
+                record.children = prune(record.children);
+                return true;
+            });
+            
+            this.routes = prune(this.routes);
+            return this;
+        }
+        
+        _forgetRecord(record) {
+            if (record.name && this._names[record.name] === record) {
+                delete this._names[record.name];
+            }
+            record.children.forEach(child => this._forgetRecord(child));
+        }
+        
+        _createRecord(definition, parent) {
+            const path = parent ? this._joinPaths(parent.path, definition.path) : this._normalizePath(definition.path);
+            const record = utils.extend({}, definition, {
+                path,
+                parent,
+                children: []
+            });
+            
+            utils.extend(record, this._compilePath(path));
+            
+            if (definition.name) {
+                this._names[definition.name] = record;
+            }
+            record.prefix = this._compilePath(path, false).regex;
+            record.children = (definition.children || []).map(child => this._createRecord(child, record));
+            
+            return record;
+        }
+        
+        // Build the path of a named route; params are encoded and optional ones may be left out
+        url(name, params = {}, query = {}) {
+            const record = this._names[name];
+            
+            if (!record) {
+                throw new Error(`Unknown route "${name}"`);
+            }
+            
+            const segments = [];
+            
+            record.path.split('/').filter(Boolean).forEach(segment => {
+                const param = segment === '*' ? ['*', '*', undefined, '*'] : segment.match(/^:(\w+)(?:\((.+)\))?([?*])?$/);
+                
+                if (!param) {
+                    segments.push(segment);
+                    return;
+                }
+                
+                const [, key, constraint, modifier] = param;
+                const value = params[key];
+                
+                if (value === undefined || value === null || value === '') {
+                    if (modifier) return;
+                    throw new Error(`Missing param "${key}" for route "${name}"`);
+                }
+                
+                if (modifier === '*') {
+                    segments.push(String(value).split('/').map(encodeURIComponent).join('/'));
+                    return;
+                }
+                
+                if (constraint && !new RegExp('^(?:' + constraint + ')$').test(String(value))) {
+                    throw new Error(`Param "${key}" for route "${name}" does not match ${constraint}`);
+                }
+                
+                segments.push(encodeURIComponent(value));
+            });
+            
+            return '/' + segments.join('/') + this._stringifyQuery(query);
+        }
+        
+        _stringifyQuery(query) {
+            const pairs = [];
+            
+            utils.each(query || {}, (value, key) => {
+                (utils.isArray(value) ? value : [value]).forEach(item => {
+                    if (item === undefined || item === null) return;
+                    pairs.push(encodeURIComponent(key) + (item === '' ? '' : '=' + encodeURIComponent(item)));
+                });
+            });
+            
+            return pairs.length ? '?' + pairs.join('&') : '';
+        }
+        
+        _joinPaths(parent, child) {
+            if (!child || child === '/') return parent;
+            if (child.charAt(0) === '/') return this._normalizePath(child);
+            
+            return this._normalizePath(parent.replace(/\/$/, '') + '/' + child);
+        }
+        
+        _normalizePath(path) {
+            path = '/' + String(path || '').replace(/^\/+/, '');
+            return path.length > 1 ? path.replace(/\/+$/, '') : path;
+        }
+        
+        // Register a global guard run before every navigation; returns a function that removes it
+        beforeEach(guard) {
+            this._beforeHooks.push(guard);
+            return () => {
+                this._beforeHooks = this._beforeHooks.filter(hook => hook !== guard);
+            };
+        }
+        
+        afterEach(hook) {
+            this._afterHooks.push(hook);
+            return () => {
+                this._afterHooks = this._afterHooks.filter(existing => existing !== hook);
+            };
+        }
+        
+        // Accepts a path or { name, params, query }. Resolves to { status, route, from }:
+        // status is 'done', 'cancelled', 'superseded', 'notFound' or 'error'
+        navigate(path, replace = false) {
+            if (utils.isObject(path)) {
+                try {
+                    path = this._locationPath(path);
+                } catch (e) {
+                    return Promise.resolve({ status: 'error', route: null, from: this.currentRoute, error: e });
+                }
+            }
+            
+            return this._navigate(path, { replace });
+        }
+        
+        // Path of a { name, params, query } or { path } location
+        _locationPath(location) {
+            const path = location.name ? this.url(location.name, location.params, location.query) : location.path;
+            
+            if (!utils.isString(path)) {
+                throw new Error('Route location needs a name or a path');
+            }
+            
+            return path;
+        }
+        
+        _navigate(path, options) {
+            const id = ++this._navigationId;
+            const from = this.currentRoute;
+            const to = this._resolve(path);
+            
+            if (!to) {
+                return Promise.resolve({ status: 'notFound', route: null, from });
+            }
+            
+            // Guards run in order: beforeLeave of routes being left, beforeEach, then beforeEnter of routes being entered
+            const leaving = from ? from.matched.filter(record => to.matched.indexOf(record) === -1).reverse() : [];
+            const entering = to.matched.filter(record => !from || from.matched.indexOf(record) === -1);
+            const guards = [].concat(
+                leaving.map(record => record.beforeLeave),
+                this._beforeHooks,
+                entering.map(record => record.beforeEnter)
+            ).filter(utils.isFunction);
+            
+            // A guard allows with undefined or true, cancels with false and redirects with a path,
+            // { path } or { name, params, query }
+            const step = index => {
+                if (id !== this._navigationId || index >= guards.length) return true;
+                
+                return Promise.resolve(guards[index].call(this, to, from)).then(result => {
+                    return result === undefined || result === true ? step(index + 1) : result;
+                });
+            };
+            
+            return Promise.resolve().then(() => step(0)).then(result => {
+                if (id !== this._navigationId) {
+                    return { status: 'superseded', route: to, from };
+                }
+                
+                if (result === false) {
+                    this._revert(options, from);
+                    return { status: 'cancelled', route: to, from };
+                }
+                
+                if (utils.isString(result) || utils.isObject(result)) {
+                    const redirects = (options.redirects || 0) + 1;
+                    
+                    if (redirects > Router.MAX_REDIRECTS) {
+                        throw new Error(`More than ${Router.MAX_REDIRECTS} redirects`);
+                    }
+                    
+                    // The browser already added an entry for back/forward and hash changes, so the redirect replaces it
+                    return this._navigate(utils.isString(result) ? result : this._locationPath(result), {
+                        replace: options.replace || !!options.source,
+                        position: options.position,
+                        redirects,
+                        redirectedFrom: options.redirectedFrom || to.fullPath
+                    });
+                }
+                
+                return this._load(to, id).then(() => {
+                    // The user moved on while this route was loading
+                    if (id !== this._navigationId) {
+                        return { status: 'superseded', route: to, from };
+                    }
+                    
+                    this._commit(to, from, options);
+                    return { status: 'done', route: to, from };
+                });
+            }).catch(error => {
+                if (id !== this._navigationId) {
+                    return { status: 'superseded', route: to, from };
+                }
+                
+                console.error(`Kiwi: Navigation to "${to.fullPath}" failed: ${error && error.message}`);
+                this._revert(options, from);
+                this.emit('error', error, to);
+                
+                return { status: 'error', route: to, from, error };
+            });
+        }
+        
+        // Resolve lazy handlers and run load hooks for every matched route before the navigation commits
+        _load(to, id) {
+            const pending = to.matched.some(record => this._isLazy(record.handler) || utils.isFunction(record.load));
+            
+            to.loaded = [];
+            if (!pending) return Promise.resolve();
+            
+            this.emit('loading', to);
+            
+            return Promise.all(to.matched.map(record => Promise.all([
+                this._resolveHandler(record),
+                utils.isFunction(record.load) ? record.load.call(this, to.params, to.query) : undefined
+            ]))).then(results => {
+                to.loaded = results.map(result => result[1]);
+                to.data = to.loaded[to.loaded.length - 1];
+                
+                if (id === this._navigationId) {
+                    this.emit('loaded', to);
+                }
+            });
+        }
+        
+        _isLazy(handler) {
+            return utils.isObject(handler) && utils.isFunction(handler.lazy);
+        }
+        
+        // A lazy handler's module resolves once; its default export (or the module itself) becomes the handler
+        _resolveHandler(record) {
+            if (!this._isLazy(record.handler)) return record.handler;
+            
+            if (!record.resolving) {
+                record.resolving = Promise.resolve(record.handler.lazy()).then(module => {
+                    const handler = module && utils.isFunction(module.default) ? module.default : module;
+                    
+                    if (!utils.isFunction(handler)) {
+                        throw new Error(`Lazy route "${record.path}" did not resolve to a handler`);
+                    }
+                    
+                    record.handler = handler;
+                    return handler;
+                }, error => {
+                    // Let the next navigation try again
+                    record.resolving = null;
+                    throw error;
+                });
+            }
+            
+            return record.resolving;
+        }
+        
+        _resolve(path) {
+            const location = this._parseLocation(path);
+            const match = this._match(location.path);
+            
+            if (!match) return null;
+            
+            return {
+                name: match.record.name,
+                path: location.path,
+                fullPath: location.fullPath,
+                params: match.params,
+                query: location.query,
+                hash: location.hash,
+                matched: match.matched
+            };
+        }
+        
+        _commit(to, from, options) {
+            if (options.redirectedFrom) {
+                to.redirectedFrom = options.redirectedFrom;
+            }
+            
+            const browser = this.options.mode !== 'memory' && typeof document !== 'undefined';
+            
+            // Remember where the page we are leaving was scrolled to
+            if (browser && from) {
+                this._scrollPositions[this._entryKey(from)] = { x: window.pageXOffset, y: window.pageYOffset };
+            }
+            
+            this.currentRoute = to;
+            
+            if (utils.isNumber(options.position)) {
+                this._position = options.position;
+            }
+            
+            // The navigation has committed from here on, so failures are logged instead of reverting it
+            const attempt = (fn, description) => {
+                try {
+                    fn();
+                } catch (error) {
+                    console.error(`Kiwi: ${description} for "${to.fullPath}" failed: ${error && error.message}`);
+                    this.emit('error', error, to);
+                }
+            };
+            
+            // Parents run before their children, each with the data its load hook resolved
+            to.matched.forEach((record, index) => {
+                if (utils.isFunction(record.handler)) {
+                    attempt(() => record.handler(to.params, to, to.loaded ? to.loaded[index] : undefined), 'Route handler');
+                }
+            });
+            attempt(() => this.emit('navigate', to), 'navigate listener');
+            
+            // Back/forward and hash changes already updated the URL
+            if (!options.source) {
+                this._writeUrl(to.fullPath, options.replace);
+            }
+            
+            // The new view exists once pending updates have flushed
+            if (browser) {
+                const saved = options.source ? this._scrollPositions[this._entryKey(to)] || null : null;
+                
+                scheduler.nextTick(() => {
+                    if (this.currentRoute === to) {
+                        this._afterRender(to, from, saved);
+                    }
+                });
+            }
+            
+            this._afterHooks.forEach(hook => {
+                attempt(() => hook.call(this, to, from), 'afterEach hook');
+            });
+        }
+        
+        // History entries are numbered in history mode; hash mode has no entry state, so its path stands in
+        _entryKey(route) {
+            return this.options.mode === 'history' ? this._position : route.fullPath;
+        }
+        
+        _afterRender(to, from, saved) {
+            if (this.options.activeClass) {
+                this.updateLinks();
+            }
+            
+            const title = this._routeTitle(to);
+            if (title) {
+                document.title = title;
+            }
+            
+            const behavior = this.options.scrollBehavior;
+            
+            Promise.resolve().then(() => {
+                return utils.isFunction(behavior)
+                    ? behavior.call(this, to, from, saved)
+                    : saved || (to.hash ? { selector: '#' + to.hash } : { x: 0, y: 0 });
+            }).then(position => {
+                if (this.currentRoute === to) {
+                    this._scrollTo(position);
+                }
+            }).catch(error => {
+                console.error(`Kiwi: Scrolling after navigating to "${to.fullPath}" failed: ${error && error.message}`);
+            }).then(() => {
+                // The first page load keeps the browser's own focus
+                if (from && this.currentRoute === to) {
+                    this._moveFocus(to);
+                    this._announce(to, title || document.title);
+                }
+            });
+        }
+        
+        // The deepest matched route with a title decides it
+        _routeTitle(to) {
+            for (let i = to.matched.length - 1; i >= 0; i--) {
+                const title = to.matched[i].title;
+                
+                if (title) {
+                    return utils.isFunction(title) ? title.call(this, to) : title;
+                }
+            }
+            
+            return null;
+        }
+        
+        _scrollTo(position) {
+            if (!utils.isObject(position)) return;
+            
+            const offset = position.offset || {};
+            
+            if (position.selector || position.el) {
+                const element = position.el || this._findAnchor(position.selector);
+                
+                if (element) {
+                    const target = dom.offset(element);
+                    window.scrollTo(target.left - (offset.x || 0), target.top - (offset.y || 0));
+                }
+                return;
+            }
+            
+            window.scrollTo(position.x || 0, position.y || 0);
+        }
+        
+        // "#id" anchors also match by name; invalid selectors from odd hashes are ignored
+        _findAnchor(selector) {
+            if (selector.charAt(0) === '#') {
+                const id = selector.slice(1);
+                const element = document.getElementById(id) || document.getElementsByName(id)[0];
+                if (element) return element;
+            }
+            
+            try {
+                return document.querySelector(selector);
+            } catch (e) {
+                return null;
+            }
+        }
+        
+        _moveFocus(to) {
+            const focus = this.options.focus;
+            if (!focus) return;
+            
+            const element = utils.isFunction(focus) ? focus.call(this, to) : dom.query(focus);
+            if (!element || !utils.isFunction(element.focus)) return;
+            
+            // Headings and containers need a tabindex to take focus from script
+            if (!element.hasAttribute('tabindex') && !/^(A|BUTTON|INPUT|SELECT|TEXTAREA)$/.test(element.nodeName)) {
+                element.setAttribute('tabindex', '-1');
+            }
+            
+            element.focus({ preventScroll: true });
+        }
+        
+        _announce(to, title) {
+            const announce = this.options.announce;
+            if (!announce) return;
+            
+            const message = utils.isFunction(announce) ? announce.call(this, to, title) : title;
+            if (!message) return;
+            
+            if (!this._liveRegion) {
+                this._liveRegion = dom.create('div', {
+                    'aria-live': 'polite',
+                    'aria-atomic': 'true',
+                    role: 'status',
+                    style: 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0'
+                });
+                document.body.appendChild(this._liveRegion);
+            }
+            
+            // Clearing first makes screen readers announce a repeated title again
+            this._liveRegion.textContent = '';
+            setTimeout(() => {
+                if (this._liveRegion) {
+                    this._liveRegion.textContent = message;
+                }
+            }, 50);
+        }
+        
+        _writeUrl(fullPath, replace) {
+            if (this.options.mode === 'memory') {
+                if (replace && this._stack.length) {
+                    this._stack[this._position] = fullPath;
+                } else {
+                    // A new entry drops everything forward of the current one
+                    this._stack = this._stack.slice(0, this._position + 1);
+                    this._stack.push(fullPath);
+                    this._position = this._stack.length - 1;
+                }
+            } else if (this.options.mode === 'history') {
+                const url = this.options.root.replace(/\/$/, '') + fullPath;
+                
+                // Entries carry their position so a cancelled back/forward knows how far to undo
+                if (replace) {
+                    window.history.replaceState({ position: this._position }, '', url);
+                } else {
+                    window.history.pushState({ position: ++this._position }, '', url);
+                }
+            } else {
+                if (replace) {
+                    window.location.replace('#' + fullPath);
+                } else {
+                    window.location.hash = fullPath;
+                }
+            }
+        }
+        
+        // Put the URL back after a guard rejected a back/forward or hash change
+        _revert(options, from) {
+            // Memory navigations only move the index once they commit
+            if (!options.source || options.source === 'memory' || !from) return;
+            
+            if (options.source === 'hashchange') {
+                window.location.replace('#' + from.fullPath);
+                return;
+            }
+            
+            const delta = utils.isNumber(options.position) ? options.position - this._position : 0;
+            
+            if (delta) {
+                this._reverting = true;
+                window.history.go(-delta);
+            } else {
+                window.history.replaceState({ position: this._position }, '', this.options.root.replace(/\/$/, '') + from.fullPath);
+            }
+        }
+        
+        // Split "/path?query#hash" into its parts
+        _parseLocation(url) {
+            url = String(url || '');
+            
+            const hashIndex = url.indexOf('#');
+            const hash = hashIndex === -1 ? '' : url.slice(hashIndex + 1);
+            const rest = hashIndex === -1 ? url : url.slice(0, hashIndex);
+            const queryIndex = rest.indexOf('?');
+            const path = this._normalizePath(queryIndex === -1 ? rest : rest.slice(0, queryIndex));
+            const search = queryIndex === -1 ? '' : rest.slice(queryIndex + 1);
+            
+            return {
+                path,
+                query: this._parseQuery(search),
+                hash: this._decode(hash),
+                fullPath: path + (search ? '?' + search : '') + (hash ? '#' + hash : '')
+            };
+        }
+        
+        // Repeated keys collect into arrays; keys without a value are empty strings
+        _parseQuery(search) {
+            const query = {};
+            
+            search.split('&').forEach(pair => {
+                if (!pair) return;
+                
+                const index = pair.indexOf('=');
+                const key = this._decode(index === -1 ? pair : pair.slice(0, index));
+                const value = index === -1 ? '' : this._decode(pair.slice(index + 1));
+                
+                if (!query.hasOwnProperty(key)) {
+                    query[key] = value;
+                } else if (utils.isArray(query[key])) {
+                    query[key].push(value);
+                } else {
+                    query[key] = [query[key], value];
+                }
+            });
+            
+            return query;
+        }
+        
+        _decode(value) {
+            try {
+                return decodeURIComponent(value.replace(/\+/g, ' '));
+            } catch (e) {
+                return value;
+            }
+        }
+        
+        _match(path) {
+            for (let i = 0; i < this.routes.length; i++) {
+                const match = this._matchRecord(this.routes[i], path);
+                
+                if (match) {
+                    return match;
+                }
+            }
+            
+            return null;
+        }
+        
+        // Children are tried before their parent so the deepest route wins; matched lists the chain from the top
+        _matchRecord(record, path) {
+            if (record.children.length && record.prefix.test(path)) {
+                for (let i = 0; i < record.children.length; i++) {
+                    const match = this._matchRecord(record.children[i], path);
+                    
+                    if (match) {
+                        match.matched.unshift(record);
+                        return match;
+                    }
+                }
+            }
+            
+            const values = path.match(record.regex);
+            if (!values) return null;
+            
+            const params = {};
+            record.keys.forEach((key, index) => {
+                const value = values[index + 1];
+                params[key] = value === undefined ? undefined : this._decode(value);
+            });
+            
+            return { record, params, matched: [record] };
+        }
+        
+        // Segments: "name", ":id", ":id?" (optional), ":id(\d+)" (constrained), ":rest*" and "*" (rest of the path)
+        _compilePath(path, end = true) {
+            const keys = [];
+            let source = '';
+            
+            path.split('/').filter(Boolean).forEach(segment => {
+                const param = segment.match(/^:(\w+)(?:\((.+)\))?([?*])?$/);
+                
+                if (segment === '*') {
+                    keys.push('*');
+                    source += '(?:/(.*))?';
+                } else if (param) {
+                    const [, name, constraint, modifier] = param;
+                    keys.push(name);
+                    
+                    if (modifier === '*') {
+                        source += '(?:/(.*))?';
+                    } else {
+                        const group = '(' + (constraint || '[^/]+') + ')';
+                        source += modifier === '?' ? '(?:/' + group + ')?' : '/' + group;
+                    }
+                } else {
+                    source += '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                }
+            });
+            
+            return {
+                regex: new RegExp('^' + source + (end ? '/?$' : '(?:/|$)')),
+                keys
+            };
+        }
+        
+        start() {
+            if (this.options.mode === 'memory') {
+                this._navigate(this.options.initialUrl, { replace: true });
+            } else if (this.options.mode === 'history') {
+                this._navigate(this._browserPath(), { replace: true });
+            } else {
+                const hash = window.location.hash.slice(1);
+                this._navigate(hash || '/', { replace: true });
+            }
+            
+            return this;
+        }
+    }
+    
+    Router.MAX_REDIRECTS = 10;
+    
+    // Mark a route handler as loaded on demand, e.g. Router.lazy(() => import('./users.js'))
+    Router.lazy = function(loader) {
+        return { lazy: loader };
+    };
+
+    // Animation system
+    class Animation {
+        constructor(options = {}) {
+            this.options = utils.extend({
+                duration: 300,
+                easing: 'linear',
+                delay: 0
+            }, options);
+            
+            this.easings = {
+                linear: t => t,
+                easeInQuad: t => t * t,
+                easeOutQuad: t => t * (2 - t),
+                easeInOutQuad: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+                easeInCubic: t => t * t * t,
+                easeOutCubic: t => (--t) * t * t + 1,
+                easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1,
+                easeInQuart: t => t * t * t * t,
+                easeOutQuart: t => 1 - (--t) * t * t * t,
+                easeInOutQuart: t => t < 0.5 ? 8 * t * t * t * t : 1 - 8 * (--t) * t * t * t
+            };
+        }
+        
+        animate(element, properties, options = {}) {
+            return new Promise(resolve => {
+                const opts = utils.extend({}, this.options, options);
+                const startTime = performance.now() + opts.delay;
+                const easing = typeof opts.easing === 'function' ? opts.easing : this.easings[opts.easing] || this.easings.linear;
+                const startValues = {};
+                const endValues = {};
+                
+                // Get start and end values
+                for (let prop in properties) {
+                    if (properties.hasOwnProperty(prop)) {
+                        let startValue = parseFloat(getComputedStyle(element)[prop]) || 0;
+                        let endValue = parseFloat(properties[prop]);
+                        let unit = (properties[prop] + '').replace(/^[+-]?\d+(?:\.\d+)?/, '') || '';
+                        
+                        startValues[prop] = { value: startValue, unit };
+                        endValues[prop] = { value: endValue, unit };
+                    }
+                }
+                
+                const tick = (currentTime) => {
+                    if (currentTime < startTime) {
+                        requestAnimationFrame(tick);
+                        return;
+                    }
+                    
+                    const elapsed = currentTime - startTime;
+                    const progress = Math.min(elapsed / opts.duration, 1);
+                    const easedProgress = easing(progress);
+                    
+                    // Update properties
+                    for (let prop in startValues) {
+                        if (startValues.hasOwnProperty(prop)) {
+                            const start = startValues[prop].value;
+                            const end = endValues[prop].value;
+                            const unit = startValues[prop].unit;
+                            const value = start + (end - start) * easedProgress;
+                            
+                            element.style[prop] = value + unit;
+                        }
+                    }
+                    
+                    if (progress < 1) {
+                        requestAnimationFrame(tick);
+                    } else {
+                        // Ensure final values are set
+                        for (let prop in endValues) {
+                            if (endValues.hasOwnProperty(prop)) {
+                                element.style[prop] = endValues[prop].value + endValues[prop].unit;
+                            }
+                        }
+                        
+                        if (opts.complete) {
+                            opts.complete.call(element);
+                        }
+                        
+                        resolve(element);
+                    }
+                };
+                
+                requestAnimationFrame(tick);
+            });
+        }
+        
+        fadeIn(element, options = {}) {
+            element.style.opacity = 0;
+            element.style.display = options.display || 'block';
+            
+            return this.animate(element, { opacity: 1 }, options);
+        }
+        
+        fadeOut(element, options = {}) {
+            return this.animate(element, { opacity: 0 }, utils.extend({}, options, {
+                complete: () => {
+                    element.style.display = 'none';
+                    if (options.complete) {
+                        options.complete.call(element);
+                    }
+                }
+            }));
+        }
+        
+        slideDown(element, options = {}) {
+            const height = element.scrollHeight;
+            element.style.overflow = 'hidden';
+            element.style.height = 0;
+            element.style.display = options.display || 'block';
+            element.style.paddingTop = 0;
+            element.style.paddingBottom = 0;
+            element.style.marginTop = 0;
+            element.style.marginBottom = 0;
+            
+            return this.animate(element, {
+                height: height + 'px',
+                paddingTop: '',
                 paddingBottom: '',
                 marginTop: '',
                 marginBottom: ''
@@ -1007,199 +3305,1554 @@
             }));
         }
         
-        slideUp(element, options = {}) {
-            element.style.overflow = 'hidden';
-            element.style.height = element.offsetHeight + 'px';
+        slideUp(element, options = {}) {
+            element.style.overflow = 'hidden';
+            element.style.height = element.offsetHeight + 'px';
+            
+            return this.animate(element, {
+                height: 0,
+                paddingTop: 0,
+                paddingBottom: 0,
+                marginTop: 0,
+                marginBottom: 0
+            }, utils.extend({}, options, {
+                complete: () => {
+                    element.style.display = 'none';
+                    element.style.height = '';
+                    element.style.overflow = '';
+                    element.style.paddingTop = '';
+                    element.style.paddingBottom = '';
+                    element.style.marginTop = '';
+                    element.style.marginBottom = '';
+                    if (options.complete) {
+                        options.complete.call(element);
+                    }
+                }
+            }));
+        }
+    }
+
+    // Centralized state store shared by Kiwi instances through the `store` option
+    class Store extends EventEmitter {
+        constructor(options = {}) {
+            super();
+            
+            this.options = utils.extend({
+                strict: false // warn when state changes outside a mutation
+            }, options);
+            
+            // Every subscribed instance listens for changes
+            this.setMaxListeners(Infinity);
+            
+            this.getters = {};
+            this._getterEntries = {};
+            this._mutations = {};
+            this._actions = {};
+            this._localGetters = {};
+            this._committing = false;
+            
+            const state = this._collectState(options, []);
+            
+            this.observer = new Observer(state, (key, newValue, oldValue, path, mutation) => {
+                if (this.options.strict && !this._committing) {
+                    console.warn(`Kiwi: Store state "${path}" changed outside a mutation.`);
+                }
+                
+                this._invalidate(path);
+                this.emit('change', path, newValue, oldValue, mutation);
+            });
+            
+            this._installModule(options, [], '');
+        }
+        
+        get state() {
+            return this.observer.data;
+        }
+        
+        set state(value) {
+            console.warn('Kiwi: Store state cannot be replaced; commit a mutation instead.');
+        }
+        
+        // Build the raw state tree, nesting each module's state under its name
+        _collectState(module, path) {
+            const state = utils.isFunction(module.state) ? module.state() : (module.state || {});
+            
+            utils.each(module.modules || {}, (child, name) => {
+                state[name] = this._collectState(child, path.concat(name));
+            });
+            
+            return state;
+        }
+        
+        _installModule(module, path, namespace) {
+            const local = this._localContext(path, namespace);
+            
+            utils.each(module.getters || {}, (getter, key) => {
+                const type = namespace + key;
+                
+                this._getterEntries[type] = {
+                    getter: () => getter(local.state, local.getters, this.state, this.getters),
+                    dirty: true,
+                    value: undefined,
+                    deps: new Map()
+                };
+                
+                Object.defineProperty(this.getters, type, {
+                    get: () => this._evaluateGetter(type),
+                    enumerable: true
+                });
+            });
+            
+            utils.each(module.mutations || {}, (mutation, key) => {
+                const type = namespace + key;
+                
+                (this._mutations[type] = this._mutations[type] || []).push(payload => mutation.call(this, local.state, payload));
+            });
+            
+            utils.each(module.actions || {}, (action, key) => {
+                const type = namespace + key;
+                
+                (this._actions[type] = this._actions[type] || []).push(payload => action.call(this, local, payload));
+            });
+            
+            utils.each(module.modules || {}, (child, name) => {
+                this._installModule(child, path.concat(name), child.namespaced ? `${namespace}${name}/` : namespace);
+            });
+        }
+        
+        // The context actions receive: commit and dispatch resolve types inside the module's namespace
+        _localContext(path, namespace) {
+            const store = this;
+            const resolve = (type, options) => (options && options.root) ? type : namespace + type;
+            
+            return {
+                get state() {
+                    return path.reduce((state, key) => state[key], store.state);
+                },
+                get getters() {
+                    return namespace ? store._namespacedGetters(namespace) : store.getters;
+                },
+                get rootState() {
+                    return store.state;
+                },
+                get rootGetters() {
+                    return store.getters;
+                },
+                commit: (type, payload, options) => this.commit(resolve(type, options), payload),
+                dispatch: (type, payload, options) => this.dispatch(resolve(type, options), payload)
+            };
+        }
+        
+        // Getters of one namespace under their local names
+        _namespacedGetters(namespace) {
+            if (!this._localGetters[namespace]) {
+                const getters = {};
+                
+                Object.keys(this._getterEntries).forEach(type => {
+                    if (type.indexOf(namespace) !== 0) return;
+                    
+                    Object.defineProperty(getters, type.slice(namespace.length), {
+                        get: () => this.getters[type],
+                        enumerable: true
+                    });
+                });
+                
+                this._localGetters[namespace] = getters;
+            }
+            
+            return this._localGetters[namespace];
+        }
+        
+        _evaluateGetter(type) {
+            const entry = this._getterEntries[type];
+            
+            if (entry.dirty) {
+                entry.deps = new Map();
+                entry.value = Observer.track(entry.deps, entry.getter);
+                entry.dirty = false;
+            }
+            
+            // Computed properties and watchers reading a getter depend on the state it read
+            if (Observer.target) {
+                entry.deps.forEach((paths, observer) => {
+                    paths.forEach(path => Observer.target(observer, path));
+                });
+            }
+            
+            return entry.value;
+        }
+        
+        _invalidate(path) {
+            utils.each(this._getterEntries, entry => {
+                if (entry.dirty || !entry.deps.has(this.observer)) return;
+                
+                entry.dirty = Array.from(entry.deps.get(this.observer)).some(dependency => Observer.affects(path, dependency));
+            });
+        }
+        
+        // Synchronously apply a mutation; listeners get { type, payload } and can log or replay it
+        commit(type, payload) {
+            const handlers = this._mutations[type];
+            
+            if (!handlers) {
+                console.error(`Kiwi: Unknown store mutation "${type}".`);
+                return;
+            }
+            
+            const committing = this._committing;
+            this._committing = true;
+            
+            try {
+                handlers.forEach(handler => handler(payload));
+            } finally {
+                this._committing = committing;
+            }
+            
+            this.emit('mutation', { type, payload }, this.state);
+        }
+        
+        // Run an action; always returns a promise
+        dispatch(type, payload) {
+            const handlers = this._actions[type];
+            
+            if (!handlers) {
+                console.error(`Kiwi: Unknown store action "${type}".`);
+                return Promise.reject(new Error(`Unknown store action "${type}"`));
+            }
+            
+            this.emit('action', { type, payload }, this.state);
+            
+            try {
+                const results = handlers.map(handler => handler(payload));
+                return results.length === 1 ? Promise.resolve(results[0]) : Promise.all(results);
+            } catch (e) {
+                return Promise.reject(e);
+            }
+        }
+        
+        // Listen to committed mutations; returns an unsubscribe function
+        subscribe(callback) {
+            this.on('mutation', callback);
+            return () => this.off('mutation', callback);
+        }
+        
+        // Replay recorded mutations, e.g. from a log
+        replay(mutations) {
+            mutations.forEach(mutation => this.commit(mutation.type, mutation.payload));
+            return this;
+        }
+    }
+    
+    // Plugin entry point: Kiwi.use(Kiwi.Store) gives instances the `store` option and `this.$store`
+    Store.install = function(Kiwi) {
+        if (Store.installed) return;
+        Store.installed = true;
+        
+        Kiwi.initializers.push(instance => {
+            const store = instance.options.store || (instance.$parent && instance.$parent.$store);
+            if (!store) return;
+            
+            instance.$store = store;
+            
+            // Store changes invalidate computed properties and watchers that read them, then re-render
+            const onChange = (path, newValue, oldValue) => {
+                if (!instance.observer) return;
+                
+                instance._invalidate(store.observer, path);
+                instance._queueChange('$store', newValue, oldValue, `$store.state.${path}`);
+            };
+            
+            store.on('change', onChange);
+            
+            return () => store.off('change', onChange);
+        });
+    };
+
+    // Update scheduler: queues instance updates and flushes them once per microtask
+    const scheduler = {
+        queue: [],
+        callbacks: [],
+        pending: false,
+        flushing: false,
+        maxUpdates: 100,
+        
+        enqueue: function(instance) {
+            if (this.queue.indexOf(instance) === -1) {
+                this.queue.push(instance);
+            }
+            
+            this._schedule();
+        },
+        
+        nextTick: function(callback) {
+            return new Promise((resolve, reject) => {
+                this.callbacks.push(() => {
+                    try {
+                        resolve(callback ? callback() : null);
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+                
+                this._schedule();
+            });
+        },
+        
+        flush: function() {
+            const updates = new Map();
+            
+            this.pending = false;
+            this.flushing = true;
+            
+            try {
+                // Watchers may change data again; those instances are re-queued and flushed in this same pass
+                while (this.queue.length) {
+                    const instance = this.queue.shift();
+                    const count = (updates.get(instance) || 0) + 1;
+                    
+                    if (count > this.maxUpdates) {
+                        console.error('Kiwi: Maximum recursive updates exceeded. A watcher or hook may be changing the data it depends on.');
+                        this.queue = [];
+                        break;
+                    }
+                    
+                    updates.set(instance, count);
+                    
+                    // One failing instance must not stop the others from updating
+                    try {
+                        instance._flush();
+                    } catch (e) {
+                        console.error('Kiwi: Error while updating an instance:', e);
+                    }
+                }
+            } finally {
+                this.flushing = false;
+                
+                const callbacks = this.callbacks;
+                this.callbacks = [];
+                callbacks.forEach(callback => callback());
+            }
+        },
+        
+        _schedule: function() {
+            if (!this.pending && !this.flushing) {
+                this.pending = true;
+                Promise.resolve().then(() => this.flush());
+            }
+        }
+    };
+
+    // Main Kiwi class
+    class Kiwi extends EventEmitter {
+        constructor(options = {}) {
+            super();
+            
+            this.options = utils.extend({
+                element: null,
+                data: {},
+                props: null,
+                propsData: {},
+                components: {},
+                parent: null,
+                methods: {},
+                filters: {},
+                computed: {},
+                watch: {},
+                template: null,
+                templateEngine: null,
+                patch: true, // false replaces innerHTML on every render
+                reactivity: 'define', // 'proxy' also tracks keys added or deleted without $set
+                history: false, // true or { size, exclude } to enable $undo/$redo
+                persist: null, // paths to save, or { key, paths, storage, delay, version, migrations }
+                hydrate: false, // adopt server-rendered markup; true or the global name holding serialised state
+                server: false, // set by Kiwi.renderToString
+                store: null,
+                created: null,
+                beforeMount: null,
+                mounted: null,
+                beforeUpdate: null,
+                updated: null,
+                beforeDestroy: null,
+                destroyed: null
+            }, options);
+            
+            this.el = typeof this.options.element === 'string' 
+                ? dom.query(this.options.element) 
+                : this.options.element;
+                
+            if (!this.el && this.options.element) {
+                console.warn(`Kiwi: Element "${this.options.element}" not found.`);
+            }
+            
+            // Server rendering only runs the hooks that do not need a DOM
+            if (this.options.server) {
+                ['beforeMount', 'mounted', 'beforeUpdate', 'updated', 'beforeDestroy', 'destroyed'].forEach(hook => {
+                    this.options[hook] = null;
+                });
+            }
+            
+            // Component tree
+            this.$parent = this.options.parent;
+            this.$children = [];
+            
+            if (this.$parent) {
+                this.$parent.$children.push(this);
+            }
+            
+            if (this.el) {
+                this.el._kiwi = this;
+            }
+            
+            // Initialize data
+            this.data = {};
+            
+            // Initialize computed properties
+            this.computed = {};
+            
+            // Pending changes and watchers, processed together on each flush
+            this._pendingChanges = [];
+            this._watchers = [];
+            
+            // Undo/redo stacks of transactions, each holding the changes made in one tick
+            const history = this.options.history;
+            this._history = history ? utils.extend({
+                size: 100,
+                exclude: []
+            }, history === true ? {} : history, {
+                undo: [],
+                redo: [],
+                transaction: null,
+                replaying: false
+            }) : null;
+            
+            // Directive bindings from the last render and the delegated listeners serving them
+            this._bindings = [];
+            this._listeners = {};
+            this._onceFired = new WeakMap();
+            
+            // Initialize template engine
+            this.templateEngine = this.options.templateEngine || new Template();
+            
+            // Initialize DOM renderer
+            this.renderer = new Renderer();
+            
+            // Initialize animation system
+            this.animation = new Animation();
+            
+            // Read persisted state so it is in place when data is set up
+            this._setupPersistence();
+            
+            // Run plugin initializers; any teardown they return runs on $destroy
+            this._teardowns = [];
+            Kiwi.initializers.forEach(initialize => {
+                const teardown = initialize(this);
+                if (utils.isFunction(teardown)) {
+                    this._teardowns.push(teardown);
+                }
+            });
+            
+            // Bind methods
+            this._bindMethods();
+            
+            // Bind instance filters
+            this._bindFilters();
+            
+            // Setup computed properties
+            this._setupComputed();
+            
+            // Setup reactivity
+            this._setupReactivity();
+            
+            // Setup watchers
+            this._setupWatchers();
+            
+            // Call created hook once data, including persisted state, is in place
+            if (utils.isFunction(this.options.created)) {
+                this.options.created.call(this);
+            }
+            
+            // Call beforeMount hook
+            if (utils.isFunction(this.options.beforeMount)) {
+                this.options.beforeMount.call(this);
+            }
+            
+            // Render template if provided
+            if (this.options.template && this.el) {
+                this._renderTemplate();
+            }
+            
+            // Call mounted hook
+            if (utils.isFunction(this.options.mounted)) {
+                this.options.mounted.call(this);
+            }
+            
+            return this;
+        }
+        
+        _bindMethods() {
+            const methods = this.options.methods || {};
+            
+            this._methods = {};
+            
+            utils.each(methods, (method, key) => {
+                if (utils.isFunction(method)) {
+                    this[key] = this._methods[key] = method.bind(this);
+                }
+            });
+        }
+        
+        _bindFilters() {
+            this._filters = {};
+            
+            utils.each(this.options.filters || {}, (filter, name) => {
+                if (utils.isFunction(filter)) {
+                    this._filters[name] = filter.bind(this);
+                }
+            });
+        }
+        
+        _setupComputed() {
+            const computed = this.options.computed || {};
+            
+            this._computedEntries = {};
+            
+            utils.each(computed, (definition, key) => {
+                const getter = utils.isFunction(definition) ? definition : definition && definition.get;
+                const setter = utils.isObject(definition) && utils.isFunction(definition.set) ? definition.set : null;
+                
+                if (utils.isFunction(getter)) {
+                    this._computedEntries[key] = { getter, dirty: true, value: undefined, deps: new Map() };
+                    
+                    const set = value => {
+                        if (setter) {
+                            setter.call(this, value);
+                        } else {
+                            console.warn(`Kiwi: Computed property "${key}" has no setter.`);
+                        }
+                    };
+                    
+                    Object.defineProperty(this.computed, key, {
+                        get: () => this._evaluateComputed(key),
+                        set,
+                        enumerable: true,
+                        configurable: true
+                    });
+                    
+                    Object.defineProperty(this, key, {
+                        get: () => this.computed[key],
+                        set,
+                        enumerable: true,
+                        configurable: true
+                    });
+                }
+            });
+        }
+        
+        // Computed values are cached until one of the reactive paths they read changes
+        _evaluateComputed(key) {
+            const entry = this._computedEntries[key];
+            
+            if (entry.dirty) {
+                entry.deps = new Map();
+                entry.value = Observer.track(entry.deps, () => entry.getter.call(this));
+                entry.dirty = false;
+            }
+            
+            // Whoever is reading us (another computed, a watcher) depends on what we depend on
+            if (Observer.target) {
+                entry.deps.forEach((paths, observer) => {
+                    paths.forEach(path => Observer.target(observer, path));
+                });
+            }
+            
+            return entry.value;
+        }
+        
+        _invalidateComputed(observer, path) {
+            utils.each(this._computedEntries, entry => {
+                if (entry.dirty || !entry.deps.has(observer)) return;
+                
+                entry.dirty = Array.from(entry.deps.get(observer)).some(dependency => Observer.affects(path, dependency));
+            });
+        }
+        
+        _setupReactivity() {
+            // Copy initial data and props
+            const data = utils.isFunction(this.options.data) ? this.options.data.call(this) : this.options.data;
+            utils.extend(this.data, data, this._propsFrom(this.options.propsData, true));
+            
+            if (this._persist && this._persist.restored) {
+                this._applyPersisted(this._persist.restored);
+            }
+            
+            // State the server serialised alongside its markup
+            if (this.options.hydrate && !this.$parent && typeof window !== 'undefined') {
+                const state = window[utils.isString(this.options.hydrate) ? this.options.hydrate : Kiwi.STATE_KEY];
+                
+                if (utils.isObject(state)) {
+                    utils.extend(this.data, utils.clone(state));
+                }
+            }
+            
+            // Create observer
+            this.observer = new Observer(this.data, (key, newValue, oldValue, path, mutation) => {
+                this._dataChanged(key, newValue, oldValue, path, mutation);
+            }, {
+                proxy: this.options.reactivity === 'proxy'
+            });
+            
+            // In proxy mode reads and writes must go through the observed proxy
+            this.data = this.observer.data;
+            
+            // Proxy data properties to the instance
+            Object.keys(this.data).forEach(key => {
+                Object.defineProperty(this, key, {
+                    get: () => this.data[key],
+                    set: value => {
+                        this.data[key] = value;
+                    },
+                    enumerable: true,
+                    configurable: true
+                });
+            });
+        }
+        
+        _dataChanged(key, newValue, oldValue, path, mutation) {
+            this._invalidate(this.observer, path);
+            this._recordHistory(path, newValue, oldValue, mutation);
+            this._schedulePersist(path);
+            this.emit('dataChange', key, newValue, oldValue, path, mutation);
+            this._queueChange(key, newValue, oldValue, path);
+        }
+        
+        _queueChange(key, newValue, oldValue, path) {
+            const pending = utils.find(this._pendingChanges, change => change.path === path);
+            
+            // Several assignments to one path in a tick collapse into a single change
+            if (pending) {
+                pending.newValue = newValue;
+            } else {
+                this._pendingChanges.push({ key, newValue, oldValue, path });
+            }
+            
+            if (Kiwi.config.async) {
+                scheduler.enqueue(this);
+            } else {
+                this._flush();
+            }
+        }
+        
+        _flush() {
+            if (!this.options) return;
+            
+            // Drop keys that ended the tick where they started
+            const changes = this._pendingChanges.filter(change => {
+                return change.newValue !== change.oldValue || utils.isObject(change.newValue);
+            });
+            this._pendingChanges = [];
+            
+            if (!changes.length) return;
+            
+            // Hooks get the latest change as (key, newValue, oldValue), then every change of the tick
+            const last = changes[changes.length - 1];
+            
+            this._runWatchers('pre');
+            
+            // Call beforeUpdate hook
+            if (utils.isFunction(this.options.beforeUpdate)) {
+                this.options.beforeUpdate.call(this, last.key, last.newValue, last.oldValue, changes);
+            }
+            
+            // Re-render template if provided
+            if (this.options.template && this.el) {
+                this._renderTemplate();
+            }
+            
+            // Watchers with flush: 'post' see the updated DOM
+            this._runWatchers('post');
+            
+            // Call updated hook
+            if (utils.isFunction(this.options.updated)) {
+                this.options.updated.call(this, last.key, last.newValue, last.oldValue, changes);
+            }
+        }
+        
+        _runWatchers(flush) {
+            this._watchers.slice().forEach(watcher => {
+                if (!this.options || watcher.flush !== flush || !watcher.dirty || this._watchers.indexOf(watcher) === -1) return;
+                
+                const oldValue = watcher.value;
+                const newValue = this._evaluateWatcher(watcher);
+                
+                // Objects mutated in place keep their identity but have still changed
+                if (newValue !== oldValue || watcher.deep || utils.isObject(newValue)) {
+                    watcher.callback.call(this, newValue, oldValue);
+                }
+            });
+        }
+        
+        _evaluateWatcher(watcher) {
+            watcher.deps = new Map();
+            watcher.dirty = false;
+            watcher.value = Observer.track(watcher.deps, () => {
+                const value = watcher.getter();
+                
+                // Reading every nested value makes each of them a dependency
+                if (watcher.deep) {
+                    this._traverse(value, new Set());
+                }
+                
+                return value;
+            });
+            
+            return watcher.value;
+        }
+        
+        _traverse(value, seen) {
+            if (!utils.isObject(value) || seen.has(value)) return;
+            
+            seen.add(value);
+            Object.keys(value).forEach(key => this._traverse(value[key], seen));
+        }
+        
+        // Mark computed properties and watchers that read the changed path
+        _invalidate(observer, path) {
+            this._invalidateComputed(observer, path);
+            
+            this._watchers.forEach(watcher => {
+                if (watcher.dirty || !watcher.deps || !watcher.deps.has(observer)) return;
+                
+                watcher.dirty = Array.from(watcher.deps.get(observer)).some(dependency => Observer.affects(path, dependency));
+            });
+        }
+        
+        _setupWatchers() {
+            const watch = this.options.watch || {};
+            
+            // Watchers registered before the data existed (e.g. in created) start tracking now
+            this._watchers.forEach(watcher => {
+                if (!watcher.deps) {
+                    this._evaluateWatcher(watcher);
+                    if (watcher.immediate) {
+                        watcher.callback.call(this, watcher.value, undefined);
+                    }
+                }
+            });
+            
+            utils.each(watch, (handler, key) => {
+                this.$watch(key, handler);
+            });
+        }
+        
+        _renderTemplate() {
+            if (!this.el || !this.options.template) return;
+            
+            const html = this._renderHTML();
+            
+            // Hydration keeps the server markup on first render and only wires up bindings and children
+            const adopt = this.options.hydrate && !this._hydrated && this.el.hasChildNodes();
+            this._hydrated = true;
+            
+            if (adopt) {
+                this._hydrating = true;
+            } else if (this.options.patch) {
+                this.renderer.patch(this.el, html);
+            } else {
+                this.el.innerHTML = html;
+            }
+            
+            this._listenForBindings();
+            this._syncModels();
+            this._mountComponents();
+            this._hydrating = false;
+        }
+        
+        _renderHTML() {
+            // Merge methods, data and computed properties for template rendering
+            const templateData = utils.extend({}, this._methods, this.data, this.computed);
+            
+            if (this.$store) {
+                templateData.$store = this.$store;
+            }
+            
+            // Components talk to their parent from templates, e.g. @click="$emit('select', item)"
+            templateData.$emit = this.$emit.bind(this);
+            if (this.$parent) {
+                templateData.$parent = this.$parent;
+            }
+            
+            // Render template
+            this._bindings = [];
+            this._templateData = templateData;
+            const html = this.templateEngine.render(this.options.template, templateData, {
+                filters: this._filters,
+                directive: (node, scope) => this._directive(node, scope)
+            });
+            
+            return this.options.server ? this._renderComponentsToString(html) : html;
+        }
+        
+        // Without a DOM, component tags are found in the markup and filled with their rendered children
+        _renderComponentsToString(html) {
+            const names = this._componentNames();
+            if (!names.length) return html;
+            
+            const pattern = new RegExp(`<(${names.join('|')})(\\s[^>]*)?>[\\s\\S]*?<\\/\\1>`, 'gi');
+            
+            return html.replace(pattern, (match, tag, attributes = '') => {
+                const child = this._instantiateChild(tag.toLowerCase(), null, this._componentProps(this._parseAttributes(attributes)));
+                
+                return `<${tag}${attributes}>${child._renderHTML()}</${tag}>`;
+            });
+        }
+        
+        _parseAttributes(source) {
+            const attributes = [];
+            const pattern = /([^\s=\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+            let match;
+            
+            while ((match = pattern.exec(source))) {
+                const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : (match[4] || '');
+                attributes.push({ name: match[1].toLowerCase(), value: utils.unescapeHtml(value) });
+            }
+            
+            return attributes;
+        }
+        
+        // Turn a template directive into an attribute that points at its binding
+        _directive(node, scope) {
+            const component = this._resolveComponent(node.tag);
+            
+            // Events on a component tag listen to its $emit rather than to the DOM
+            if (node.name === 'on' && component) {
+                const id = this._bindings.push({ expression: node.value, scope }) - 1;
+                return `data-k-emit-${node.arg}="${id}"`;
+            }
+            
+            if (node.name === 'on') {
+                const id = this._bindings.push({
+                    event: node.arg,
+                    modifiers: node.modifiers,
+                    expression: node.value,
+                    scope
+                }) - 1;
+                
+                return `data-k-on-${node.arg}="${id}"`;
+            }
+            
+            if (node.name === 'bind' && component) {
+                const id = this._bindings.push({ prop: utils.camelCase(node.arg), expression: node.value, scope }) - 1;
+                return `data-k-bind-${utils.kebabCase(node.arg)}="${id}"`;
+            }
+            
+            if (node.name === 'bind') {
+                return this._bindAttribute(node.arg, this.templateEngine.evaluate(node.value, scope, { filters: this._filters }));
+            }
+            
+            if (node.name === 'model') {
+                const id = this._bindings.push({
+                    model: node.value,
+                    modifiers: node.modifiers,
+                    scope
+                }) - 1;
+                
+                return `data-k-model="${id}"`;
+            }
+            
+            return '';
+        }
+        
+        _listenForBindings() {
+            this._bindings.forEach(binding => {
+                (binding.model ? ['input', 'change'] : [binding.event]).forEach(type => {
+                    if (!type || this._listeners[type]) return;
+                    
+                    // Events that do not bubble are caught on their way down instead
+                    const capture = Kiwi.NON_BUBBLING_EVENTS.indexOf(type) !== -1;
+                    const listener = event => {
+                        this._dispatchModel(event);
+                        this._dispatchBinding(type, event, capture);
+                    };
+                    
+                    this._listeners[type] = { listener, capture };
+                    dom.on(this.el, type, listener, capture);
+                });
+            });
+        }
+        
+        _dispatchModel(event) {
+            const element = event.target;
+            const binding = element && element.getAttribute && element.hasAttribute('data-k-model') ?
+                this._bindings[element.getAttribute('data-k-model')] : null;
+            
+            if (!binding || event.isComposing || !this._ownsElement(element)) return;
+            
+            const kind = this._modelKind(element);
+            const lazy = binding.modifiers.indexOf('lazy') !== -1;
+            
+            // Text-like controls update on input (or change with .lazy); the rest only fire change
+            if (event.type === 'input' && (lazy || ['checkbox', 'radio', 'select'].indexOf(kind) !== -1)) return;
+            if (event.type === 'change' && !lazy && (kind === 'text' || kind === 'editable')) return;
+            
+            const current = this.templateEngine.evaluate(binding.model, binding.scope);
+            let value;
+            
+            if (kind === 'checkbox') {
+                if (utils.isArray(current)) {
+                    value = element.checked ?
+                        (current.indexOf(element.value) === -1 ? current.concat(element.value) : current) :
+                        current.filter(item => item !== element.value);
+                } else {
+                    value = element.checked;
+                }
+            } else if (kind === 'radio') {
+                if (!element.checked) return;
+                value = element.value;
+            } else if (kind === 'select') {
+                value = element.multiple ?
+                    Array.from(element.options).filter(option => option.selected).map(option => option.value) :
+                    element.value;
+            } else {
+                value = kind === 'editable' ? element.textContent : element.value;
+                
+                if (binding.modifiers.indexOf('trim') !== -1) {
+                    value = value.trim();
+                }
+                
+                if (binding.modifiers.indexOf('number') !== -1 || element.type === 'number' || element.type === 'range') {
+                    const number = parseFloat(value);
+                    value = isNaN(number) ? value : number;
+                }
+            }
+            
+            if (value !== current) {
+                this._assignModel(binding, value);
+            }
+        }
+        
+        // Write a model value back through the reactive data, e.g. "user.email", "items[i].done" or "name"
+        _assignModel(binding, value) {
+            const expression = binding.model;
+            const match = expression.match(/^([\s\S]+?)(?:\.([A-Za-z_$][\w$]*)|\[([^\]]+)\])$/);
+            
+            if (match) {
+                const target = this.templateEngine.evaluate(match[1], binding.scope);
+                const key = match[2] !== undefined ? match[2] : this.templateEngine.evaluate(match[3], binding.scope);
+                
+                if (utils.isObject(target)) {
+                    target[key] = value;
+                } else {
+                    console.error(`Kiwi: Cannot bind k-model to "${expression}".`);
+                }
+                return;
+            }
+            
+            // Find which scope declares the name: the instance, a loop variable or a partial's data
+            let owner = binding.scope;
+            while (owner && !Object.prototype.hasOwnProperty.call(owner, expression)) {
+                owner = Object.getPrototypeOf(owner);
+            }
+            
+            if (!owner || owner === this._templateData) {
+                if (this.data.hasOwnProperty(expression)) {
+                    this[expression] = value;
+                } else {
+                    this.$set(expression, value);
+                }
+            } else if (Object.getPrototypeOf(owner) !== Object.prototype && Object.getPrototypeOf(owner) !== null) {
+                console.error(`Kiwi: Cannot bind k-model to the loop variable "${expression}"; bind to one of its properties instead.`);
+            } else {
+                owner[expression] = value;
+            }
+        }
+        
+        _modelKind(element) {
+            if (element.nodeName === 'SELECT') return 'select';
+            if (element.nodeName === 'INPUT' && (element.type === 'checkbox' || element.type === 'radio')) return element.type;
+            if (element.nodeName !== 'INPUT' && element.nodeName !== 'TEXTAREA') return 'editable';
+            return 'text';
+        }
+        
+        // Push model values into the form controls after a render
+        _syncModels() {
+            dom.queryAll('[data-k-model]', this.el).forEach(element => {
+                const binding = this._bindings[element.getAttribute('data-k-model')];
+                if (!binding || !this._ownsElement(element)) return;
+                
+                const value = this.templateEngine.evaluate(binding.model, binding.scope);
+                const kind = this._modelKind(element);
+                
+                if (kind === 'checkbox') {
+                    element.checked = utils.isArray(value) ? value.indexOf(element.value) !== -1 : !!value;
+                } else if (kind === 'radio') {
+                    element.checked = String(value) === element.value;
+                } else if (kind === 'select' && element.multiple) {
+                    Array.from(element.options).forEach(option => {
+                        option.selected = utils.isArray(value) && value.map(String).indexOf(option.value) !== -1;
+                    });
+                } else {
+                    const text = value === null || value === undefined ? '' : String(value);
+                    const property = kind === 'editable' ? 'textContent' : 'value';
+                    
+                    if (element[property] === text || (kind === 'text' && this._looseNumberEqual(element.value, value))) return;
+                    
+                    // Keep the caret where it was when the focused control is rewritten
+                    const focused = element.ownerDocument.activeElement === element;
+                    const selection = focused ? this._saveSelection(element, kind) : null;
+                    
+                    element[property] = text;
+                    
+                    if (selection) {
+                        this._restoreSelection(element, kind, selection);
+                    }
+                }
+            });
+        }
+        
+        // "1." and "1.0" both hold 1; rewriting them would fight the user's typing
+        _looseNumberEqual(text, value) {
+            return utils.isNumber(value) && text.trim() !== '' && parseFloat(text) === value;
+        }
+        
+        _saveSelection(element, kind) {
+            try {
+                if (kind === 'editable') {
+                    const selection = element.ownerDocument.getSelection();
+                    return selection && selection.rangeCount ? { start: selection.getRangeAt(0).startOffset } : null;
+                }
+                
+                return { start: element.selectionStart, end: element.selectionEnd };
+            } catch (e) {
+                // Inputs such as type="email" do not expose a selection
+                return null;
+            }
+        }
+        
+        _restoreSelection(element, kind, selection) {
+            try {
+                if (kind === 'editable') {
+                    const node = element.firstChild;
+                    if (!node) return;
+                    
+                    const range = element.ownerDocument.createRange();
+                    range.setStart(node, Math.min(selection.start, node.length || 0));
+                    range.collapse(true);
+                    
+                    const current = element.ownerDocument.getSelection();
+                    current.removeAllRanges();
+                    current.addRange(range);
+                } else {
+                    const length = element.value.length;
+                    element.setSelectionRange(Math.min(selection.start, length), Math.min(selection.end, length));
+                }
+            } catch (e) {
+                // Selection is best effort
+            }
+        }
+        
+        _dispatchBinding(type, event, capture) {
+            const attribute = `data-k-on-${type}`;
+            
+            if (!this._ownsElement(event.target)) return;
+            
+            const root = this.el;
+            const boundary = root.parentNode;
+            
+            for (let element = event.target; element && element !== boundary; element = element.parentNode) {
+                const binding = element.getAttribute && element.hasAttribute(attribute) ?
+                    this._bindings[element.getAttribute(attribute)] : null;
+                
+                if (binding && this._modifiersAllow(binding, event, element)) {
+                    const modifiers = binding.modifiers;
+                    
+                    if (modifiers.indexOf('once') !== -1) {
+                        const fired = this._onceFired.get(element) || [];
+                        fired.push(type);
+                        this._onceFired.set(element, fired);
+                    }
+                    
+                    if (modifiers.indexOf('prevent') !== -1) event.preventDefault();
+                    if (modifiers.indexOf('stop') !== -1) event.stopPropagation();
+                    
+                    this._invokeHandler(binding, [event]);
+                    
+                    // The handler may have destroyed the instance, e.g. a close button
+                    if (!this.el || modifiers.indexOf('stop') !== -1) break;
+                }
+                
+                if (capture || element === root) break;
+            }
+        }
+        
+        // Whether an element was rendered by this instance rather than by a child component
+        _ownsElement(element) {
+            for (let node = element; node && node !== this.el; node = node.parentNode) {
+                if (node._kiwi) return false;
+            }
+            
+            return true;
+        }
+        
+        _modifiersAllow(binding, event, element) {
+            const modifiers = binding.modifiers;
+            const fired = this._onceFired.get(element);
+            
+            if (modifiers.indexOf('once') !== -1 && fired && fired.indexOf(binding.event) !== -1) return false;
+            if (modifiers.indexOf('self') !== -1 && event.target !== element) return false;
+            
+            return modifiers.every(modifier => {
+                if (['ctrl', 'alt', 'shift', 'meta'].indexOf(modifier) !== -1) {
+                    return event[modifier + 'Key'];
+                }
+                
+                if (['prevent', 'stop', 'once', 'self', 'capture', 'passive'].indexOf(modifier) !== -1) {
+                    return true;
+                }
+                
+                if (utils.isString(event.key)) {
+                    const keys = Kiwi.KEY_MODIFIERS[modifier];
+                    return keys ? keys.indexOf(event.key) !== -1 : utils.kebabCase(event.key) === modifier;
+                }
+                
+                if (utils.isNumber(event.button) && Kiwi.MOUSE_MODIFIERS.hasOwnProperty(modifier)) {
+                    return event.button === Kiwi.MOUSE_MODIFIERS[modifier];
+                }
+                
+                return true;
+            });
+        }
+        
+        _invokeHandler(binding, args) {
+            const expression = binding.expression;
+            
+            // A bare method name receives the event arguments; anything else is evaluated with $event in scope
+            if (/^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*$/.test(expression)) {
+                const handler = this.templateEngine.evaluate(expression, binding.scope, { filters: this._filters });
+                
+                if (!utils.isFunction(handler)) {
+                    console.error(`Kiwi: Event handler "${expression}" is not a function.`);
+                    return;
+                }
+                
+                return handler.apply(this, args);
+            }
+            
+            const scope = Object.create(binding.scope);
+            scope.$event = args[0];
+            scope.$args = args;
+            
+            return this.templateEngine.evaluate(expression, scope, { filters: this._filters });
+        }
+        
+        _bindAttribute(name, value) {
+            if (value === false || value === null || value === undefined) return '';
+            if (value === true) return name;
+            
+            if (name === 'class' && utils.isObject(value) && !utils.isArray(value)) {
+                value = Object.keys(value).filter(key => value[key]).join(' ');
+            } else if (name === 'style' && utils.isObject(value)) {
+                value = Object.keys(value).map(key => `${utils.kebabCase(key)}: ${value[key]}`).join('; ');
+            } else if (utils.isArray(value)) {
+                value = value.join(' ');
+            } else if (Template.URL_ATTRIBUTES.indexOf(name.toLowerCase()) !== -1) {
+                value = this.templateEngine.sanitizeUrl(value);
+            }
+            
+            return `${name}="${utils.escapeHtml(value)}"`;
+        }
+        
+        _resolveComponent(tag) {
+            if (!tag) return null;
+            
+            const registries = [this.options.components, Kiwi.components];
+            
+            for (let i = 0; i < registries.length; i++) {
+                const name = registries[i] && utils.find(Object.keys(registries[i]), key => utils.kebabCase(key) === tag);
+                if (name) return registries[i][name];
+            }
+            
+            return null;
+        }
+        
+        _componentNames() {
+            return Object.keys(utils.extend({}, Kiwi.components, this.options.components)).map(name => utils.kebabCase(name));
+        }
+        
+        // Instantiate components used as custom tags in the template, update the live ones and drop the removed ones
+        _mountComponents() {
+            const names = this._componentNames();
+            const live = [];
+            
+            if (names.length) {
+                dom.queryAll(names.join(','), this.el).forEach(element => {
+                    if (!this._ownsElement(element.parentNode)) return;
+                    
+                    if (element._kiwi) {
+                        this._updateChild(element._kiwi);
+                        live.push(element._kiwi);
+                    } else {
+                        live.push(this._createChild(element));
+                    }
+                });
+            }
+            
+            this.$children.slice().forEach(child => {
+                if (live.indexOf(child) === -1) {
+                    child.$destroy();
+                }
+            });
+        }
+        
+        _createChild(element) {
+            const child = this._instantiateChild(element.nodeName.toLowerCase(), element, this._componentProps(element.attributes));
+            
+            this._listenToChild(child);
+            return child;
+        }
+        
+        _instantiateChild(tag, element, propsData) {
+            const definition = this._resolveComponent(tag);
+            
+            // Each instance gets its own copy of object data; children of a hydrating parent adopt their markup too
+            return new Kiwi(Object.assign({}, definition, {
+                element,
+                parent: this,
+                data: utils.isFunction(definition.data) ? definition.data : utils.clone(definition.data || {}),
+                propsData,
+                hydrate: this._hydrating || definition.hydrate,
+                server: this.options.server
+            }));
+        }
+        
+        _updateChild(child) {
+            utils.each(child._propsFrom(this._componentProps(child.el.attributes), false), (value, key) => {
+                child.$set(key, value);
+            });
             
-            return this.animate(element, {
-                height: 0,
-                paddingTop: 0,
-                paddingBottom: 0,
-                marginTop: 0,
-                marginBottom: 0
-            }, utils.extend({}, options, {
-                complete: () => {
-                    element.style.display = 'none';
-                    element.style.height = '';
-                    element.style.overflow = '';
-                    element.style.paddingTop = '';
-                    element.style.paddingBottom = '';
-                    element.style.marginTop = '';
-                    element.style.marginBottom = '';
-                    if (options.complete) {
-                        options.complete.call(element);
+            this._listenToChild(child);
+        }
+        
+        // Collect prop values from a component tag's attributes: bound :props and plain attributes
+        _componentProps(attributes) {
+            const values = {};
+            
+            Array.from(attributes).forEach(attr => {
+                const match = attr.name.match(/^data-k-bind-/);
+                
+                if (match) {
+                    const binding = this._bindings[attr.value];
+                    if (binding) {
+                        values[binding.prop] = this.templateEngine.evaluate(binding.expression, binding.scope, { filters: this._filters });
                     }
+                } else if (!/^data-k-/.test(attr.name)) {
+                    values[utils.camelCase(attr.name)] = attr.value;
                 }
-            }));
+            });
+            
+            return values;
         }
-    }
-
-    // Main Kiwi class
-    class Kiwi extends EventEmitter {
-        constructor(options = {}) {
-            super();
+        
+        // Props accepted from the parent; defaults are only applied when the child is created
+        _propsFrom(values, withDefaults) {
+            const props = this.options.props;
+            const result = {};
             
-            this.options = utils.extend({
-                element: null,
-                data: {},
-                methods: {},
-                computed: {},
-                watch: {},
-                template: null,
-                templateEngine: null,
-                created: null,
-                beforeMount: null,
-                mounted: null,
-                beforeUpdate: null,
-                updated: null,
-                beforeDestroy: null,
-                destroyed: null
-            }, options);
+            if (!props) return result;
             
-            this.el = typeof this.options.element === 'string' 
-                ? dom.query(this.options.element) 
-                : this.options.element;
+            utils.each(utils.isArray(props) ? props : Object.keys(props), name => {
+                if (values && values.hasOwnProperty(name)) {
+                    result[name] = values[name];
+                } else if (withDefaults) {
+                    // Only an explicit default applies; a declaration such as String or { type, required } has none
+                    const definition = utils.isArray(props) ? undefined : props[name];
+                    const fallback = utils.isObject(definition) && definition.hasOwnProperty('default') ? definition.default : undefined;
+                    result[name] = utils.isFunction(fallback) ? fallback.call(this) : fallback;
+                }
+            });
+            
+            return result;
+        }
+        
+        _listenToChild(child) {
+            child._parentListeners = child._parentListeners || {};
+            
+            Array.from(child.el.attributes).forEach(attr => {
+                const match = attr.name.match(/^data-k-emit-(.+)$/);
+                if (!match || child._parentListeners[match[1]]) return;
                 
-            if (!this.el && this.options.element) {
-                console.warn(`Kiwi: Element "${this.options.element}" not found.`);
-            }
+                const event = match[1];
+                
+                // Look the binding up on every emit; the ids change with each parent render
+                child._parentListeners[event] = true;
+                child.on(event, (...args) => {
+                    const id = child.el && child.el.getAttribute(`data-k-emit-${event}`);
+                    const binding = id !== null && this._bindings ? this._bindings[id] : null;
+                    
+                    if (binding) {
+                        this._invokeHandler(binding, args);
+                    }
+                });
+            });
+        }
+        
+        _setupPersistence() {
+            const persist = this.options.persist;
             
-            // Initialize data
-            this.data = {};
+            this._persist = null;
+            this.$restored = Promise.resolve();
             
-            // Initialize computed properties
-            this.computed = {};
+            if (!persist) return;
             
-            // Initialize template engine
-            this.templateEngine = this.options.templateEngine || new Template();
+            const config = utils.extend({
+                key: utils.isString(this.options.element) ? 'kiwi:' + this.options.element : null,
+                paths: [],
+                storage: 'local',
+                delay: 300,
+                version: 1,
+                migrations: {}
+            }, utils.isArray(persist) ? { paths: persist } : persist);
             
-            // Initialize animation system
-            this.animation = new Animation();
+            // Components and instances mounted on an element object have no selector to tell them apart
+            if (!config.key) {
+                console.warn('Kiwi: persist needs a key when the instance is not mounted with a selector; nothing is persisted.');
+                return;
+            }
             
-            // Call created hook
-            if (utils.isFunction(this.options.created)) {
-                this.options.created.call(this);
+            const adapter = utils.isString(config.storage) ? storage[config.storage] : config.storage;
+            
+            if (!adapter || !utils.isFunction(adapter.getItem) || !utils.isFunction(adapter.setItem)) {
+                console.warn(`Kiwi: Unknown persist storage "${config.storage}".`);
+                return;
             }
             
-            // Bind methods
-            this._bindMethods();
+            this._persist = utils.extend(config, {
+                adapter,
+                restored: null,
+                ready: true,
+                pending: false,
+                save: utils.debounce(() => this._savePersisted(), config.delay)
+            });
             
-            // Setup computed properties
-            this._setupComputed();
+            let raw;
+            try {
+                raw = adapter.getItem(config.key);
+            } catch (e) {
+                console.error(`Kiwi: Could not read persisted state: ${e && e.message}`);
+            }
             
-            // Setup reactivity
-            this._setupReactivity();
+            if (raw && utils.isFunction(raw.then)) {
+                // Async storage restores once it answers; nothing is saved until then so defaults cannot overwrite it
+                this._persist.ready = false;
+                this.$restored = raw.then(value => {
+                    if (!this.options) return;
+                    
+                    this._persist.ready = true;
+                    const values = this._parsePersisted(value);
+                    
+                    if (values) {
+                        this._applyPersisted(values);
+                    }
+                }, e => {
+                    this._persist.ready = true;
+                    console.error(`Kiwi: Could not read persisted state: ${e && e.message}`);
+                });
+            } else {
+                this._persist.restored = this._parsePersisted(raw);
+            }
+        }
+        
+        // Unwrap a saved { version, data } record, migrating it up to the configured version
+        _parsePersisted(raw) {
+            if (raw === null || raw === undefined) return null;
             
-            // Setup watchers
-            this._setupWatchers();
+            const config = this._persist;
+            let record;
             
-            // Call beforeMount hook
-            if (utils.isFunction(this.options.beforeMount)) {
-                this.options.beforeMount.call(this);
+            try {
+                record = utils.isString(raw) ? JSON.parse(raw) : raw;
+            } catch (e) {
+                console.warn(`Kiwi: Ignoring unreadable persisted state under "${config.key}".`);
+                return null;
             }
             
-            // Render template if provided
-            if (this.options.template && this.el) {
-                this._renderTemplate();
+            if (!utils.isObject(record) || !utils.isObject(record.data)) return null;
+            
+            let version = Number(record.version) || 0;
+            let data = record.data;
+            
+            if (version > config.version) {
+                console.warn(`Kiwi: Ignoring persisted state version ${version}, newer than ${config.version}.`);
+                return null;
             }
             
-            // Call mounted hook
-            if (utils.isFunction(this.options.mounted)) {
-                this.options.mounted.call(this);
+            try {
+                while (version < config.version) {
+                    version++;
+                    
+                    if (utils.isFunction(config.migrations[version])) {
+                        data = config.migrations[version](data);
+                    }
+                }
+            } catch (e) {
+                console.error(`Kiwi: Persisted state migration to version ${version} failed: ${e && e.message}`);
+                return null;
             }
             
-            return this;
+            return utils.isObject(data) ? data : null;
         }
         
-        _bindMethods() {
-            const methods = this.options.methods || {};
-            
-            utils.each(methods, (method, key) => {
-                if (utils.isFunction(method)) {
-                    this[key] = method.bind(this);
+        _applyPersisted(values) {
+            this._persist.paths.forEach(path => {
+                if (!values.hasOwnProperty(path)) return;
+                
+                const segments = path.split('.');
+                const key = segments.pop();
+                const parent = segments.length ? utils.get(this.data, segments.join('.')) : this.data;
+                
+                if (utils.isObject(parent)) {
+                    parent[key] = values[path];
                 }
             });
         }
         
-        _setupComputed() {
-            const computed = this.options.computed || {};
+        _schedulePersist(path) {
+            const persist = this._persist;
             
-            utils.each(computed, (getter, key) => {
-                if (utils.isFunction(getter)) {
-                    Object.defineProperty(this.computed, key, {
-                        get: () => getter.call(this),
-                        enumerable: true,
-                        configurable: true
-                    });
-                    
-                    Object.defineProperty(this, key, {
-                        get: () => this.computed[key],
-                        enumerable: true,
-                        configurable: true
-                    });
-                }
-            });
+            if (!persist || !persist.ready) return;
+            
+            // A change persists when it replaces a saved path, one of its parents or something inside it
+            const affected = persist.paths.some(saved => Observer.affects(path, saved) || Observer.affects(saved, path));
+            
+            if (affected) {
+                persist.pending = true;
+                persist.save();
+            }
         }
         
-        _setupReactivity() {
-            // Copy initial data
-            utils.extend(this.data, this.options.data);
+        _savePersisted() {
+            const persist = this._persist;
             
-            // Create observer
-            this.observer = new Observer(this.data, (key, newValue, oldValue) => {
-                this.emit('dataChange', key, newValue, oldValue);
+            if (!persist || !persist.pending || !this.data) return;
+            
+            const data = {};
+            persist.pending = false;
+            
+            persist.paths.forEach(path => {
+                const value = utils.get(this.data, path);
                 
-                // Call beforeUpdate hook
-                if (utils.isFunction(this.options.beforeUpdate)) {
-                    this.options.beforeUpdate.call(this, key, newValue, oldValue);
+                if (value !== undefined) {
+                    data[path] = value;
                 }
+            });
+            
+            const failed = e => console.error(`Kiwi: Could not persist state: ${e && e.message}`);
+            
+            try {
+                const result = persist.adapter.setItem(persist.key, JSON.stringify({ version: persist.version, data }));
                 
-                // Re-render template if provided
-                if (this.options.template && this.el) {
-                    this._renderTemplate();
+                if (result && utils.isFunction(result.then)) {
+                    result.then(null, failed);
                 }
+            } catch (e) {
+                failed(e);
+            }
+        }
+        
+        _recordHistory(path, newValue, oldValue, mutation) {
+            const history = this._history;
+            
+            if (!history || history.replaying) return;
+            
+            const excluded = history.exclude.some(key => path === key || path.indexOf(key + '.') === 0);
+            if (excluded) return;
+            
+            if (!history.transaction) {
+                history.transaction = [];
+                history.undo.push(history.transaction);
                 
-                // Call updated hook
-                if (utils.isFunction(this.options.updated)) {
-                    this.options.updated.call(this, key, newValue, oldValue);
+                if (history.undo.length > history.size) {
+                    history.undo.shift();
                 }
-            });
-            
-            // Proxy data properties to the instance
-            Object.keys(this.data).forEach(key => {
-                Object.defineProperty(this, key, {
-                    get: () => this.data[key],
-                    set: value => {
-                        this.data[key] = value;
-                    },
-                    enumerable: true,
-                    configurable: true
+                
+                // Everything changed in the same tick is undone together
+                Promise.resolve().then(() => {
+                    history.transaction = null;
                 });
+            }
+            
+            // Values are copied so later in-place edits cannot rewrite history
+            history.transaction.push({
+                path,
+                newValue: utils.clone(newValue),
+                oldValue: utils.clone(oldValue),
+                type: mutation && mutation.type
             });
+            history.redo = [];
         }
         
-        _setupWatchers() {
-            const watch = this.options.watch || {};
+        _replayHistory(transaction, forward) {
+            const history = this._history;
+            const changes = forward ? transaction : transaction.slice().reverse();
             
-            utils.each(watch, (handler, key) => {
-                this.$watch(key, handler);
-            });
+            history.transaction = null;
+            history.replaying = true;
+            
+            try {
+                changes.forEach(change => {
+                    const segments = change.path.split('.');
+                    const key = segments.pop();
+                    const parent = segments.length ? utils.get(this.data, segments.join('.')) : this.data;
+                    
+                    if (!utils.isObject(parent)) return;
+                    
+                    // Undoing an addition or redoing a deletion removes the key again
+                    if (change.type === (forward ? 'delete' : 'add')) {
+                        const oldValue = parent[key];
+                        delete parent[key];
+                        
+                        if (!this.observer.options.proxy) {
+                            this._dataChanged(key, undefined, oldValue, change.path, { type: 'delete' });
+                        }
+                    } else if (!segments.length) {
+                        this.$set(key, utils.clone(forward ? change.newValue : change.oldValue));
+                    } else {
+                        parent[key] = utils.clone(forward ? change.newValue : change.oldValue);
+                    }
+                });
+            } finally {
+                history.replaying = false;
+            }
         }
         
-        _renderTemplate() {
-            if (!this.el || !this.options.template) return;
+        // Public API
+        $undo() {
+            if (!this.$canUndo) return false;
             
-            // Merge data and computed properties for template rendering
-            const templateData = utils.extend({}, this.data, this.computed);
+            const transaction = this._history.undo.pop();
+            this._replayHistory(transaction, false);
+            this._history.redo.push(transaction);
             
-            // Render template
-            const html = this.templateEngine.render(this.options.template, templateData);
+            return true;
+        }
+        
+        $redo() {
+            if (!this.$canRedo) return false;
+            
+            const transaction = this._history.redo.pop();
+            this._replayHistory(transaction, true);
+            this._history.undo.push(transaction);
             
-            // Update DOM
-            this.el.innerHTML = html;
+            return true;
+        }
+        
+        get $canUndo() {
+            return !!this._history && this._history.undo.length > 0;
+        }
+        
+        get $canRedo() {
+            return !!this._history && this._history.redo.length > 0;
         }
         
-        // Public API
         $set(key, value) {
             if (typeof key === 'object') {
                 utils.each(key, (val, k) => {
@@ -1207,11 +4860,19 @@
                 });
             } else {
                 if (this.data[key] === undefined) {
+                    const isNew = !this.data.hasOwnProperty(key);
+                    
                     // Add new property
                     this.data[key] = value;
                     
-                    // Make it reactive
-                    this.observer.observe(this.data);
+                    // Make it reactive; proxies already reported the addition
+                    if (!this.observer.options.proxy) {
+                        this.observer.observe(this.data);
+                        
+                        if (isNew) {
+                            this._dataChanged(key, value, undefined, key, { type: 'add' });
+                        }
+                    }
                     
                     // Proxy to instance
                     Object.defineProperty(this, key, {
@@ -1231,49 +4892,107 @@
             return this;
         }
         
-        $get(key) {
-            return key ? this.data[key] : this.data;
+        $get(path) {
+            return path ? utils.get(this.data, path) : this.data;
         }
         
-        $watch(key, callback) {
-            if (utils.isObject(key)) {
-                utils.each(key, (handler, k) => {
-                    this.$watch(k, handler);
+        // Watch a dotted path or a getter function; options: { deep, immediate, flush: 'pre' | 'post' }
+        $watch(source, callback, options = {}) {
+            if (utils.isObject(source)) {
+                utils.each(source, (handler, key) => {
+                    this.$watch(key, handler);
                 });
                 return this;
             }
             
-            const watcher = (changedKey, newValue, oldValue) => {
-                if (changedKey === key) {
-                    callback.call(this, newValue, oldValue);
-                }
+            // Declarative form: { handler, deep, immediate, flush }
+            if (utils.isObject(callback)) {
+                options = callback;
+                callback = callback.handler;
+            }
+            
+            if (utils.isString(callback)) {
+                callback = this[callback];
+            }
+            
+            if (!utils.isFunction(callback)) {
+                console.warn(`Kiwi: Watcher for "${source}" has no handler.`);
+                return () => {};
+            }
+            
+            const watcher = {
+                getter: utils.isFunction(source) ? () => source.call(this, this) : () => utils.get(this, source),
+                callback,
+                deep: !!options.deep,
+                immediate: !!options.immediate,
+                flush: options.flush === 'post' ? 'post' : 'pre',
+                deps: null,
+                dirty: false
             };
             
-            this.on('dataChange', watcher);
+            this._watchers.push(watcher);
+            
+            if (this.observer) {
+                this._evaluateWatcher(watcher);
+                
+                if (watcher.immediate) {
+                    callback.call(this, watcher.value, undefined);
+                }
+            }
             
             // Return unwatcher function
             return () => {
-                this.off('dataChange', watcher);
+                if (this._watchers) {
+                    this._watchers = this._watchers.filter(w => w !== watcher);
+                }
             };
         }
         
+        $emit(event, ...args) {
+            return this.emit(event, ...args);
+        }
+        
+        // Resolves after pending changes have been flushed to the DOM
         $nextTick(callback) {
-            return new Promise(resolve => {
-                setTimeout(() => {
-                    const result = callback ? callback.call(this) : null;
-                    resolve(result);
-                }, 0);
-            });
+            return scheduler.nextTick(() => callback ? callback.call(this) : null);
         }
         
         $destroy() {
+            if (!this.options) return;
+            
             // Call beforeDestroy hook
             if (utils.isFunction(this.options.beforeDestroy)) {
                 this.options.beforeDestroy.call(this);
             }
             
-            // Clean up event listeners
+            this._teardowns.forEach(teardown => teardown());
+            this._teardowns = [];
+            
+            // Write a save still waiting on its debounce
+            this._savePersisted();
+            
+            // Destroy child components and leave the parent
+            this.$children.slice().forEach(child => child.$destroy());
+            
+            if (this.$parent && this.$parent.$children) {
+                this.$parent.$children = this.$parent.$children.filter(child => child !== this);
+            }
+            
+            if (this.el) {
+                delete this.el._kiwi;
+            }
+            
+            // Release delegated directive listeners
+            utils.each(this._listeners, (entry, type) => {
+                dom.off(this.el, type, entry.listener, entry.capture);
+            });
+            this._listeners = {};
+            this._bindings = [];
+            
+            // Clean up event listeners and watchers
             this._events = {};
+            this._watchers = [];
+            this._pendingChanges = [];
             
             // Call destroyed hook
             if (utils.isFunction(this.options.destroyed)) {
@@ -1285,9 +5004,15 @@
             this.options = null;
             this.data = null;
             this.computed = null;
+            if (this.observer) {
+                this.observer.destroy();
+            }
             this.observer = null;
             this.templateEngine = null;
+            this.renderer = null;
             this.animation = null;
+            this.$parent = null;
+            this.$children = [];
         }
         
         // Animation methods
@@ -1315,34 +5040,101 @@
     // Static methods and properties
     Kiwi.version = '1.1.0';
     
+    // Events handled in the capture phase by directive delegation
+    Kiwi.NON_BUBBLING_EVENTS = ['focus', 'blur', 'mouseenter', 'mouseleave', 'load', 'error', 'scroll', 'pointerenter', 'pointerleave'];
+    
+    // Key and mouse-button modifiers understood by @event directives
+    Kiwi.KEY_MODIFIERS = {
+        enter: ['Enter'],
+        tab: ['Tab'],
+        esc: ['Escape', 'Esc'],
+        space: [' ', 'Spacebar'],
+        up: ['ArrowUp', 'Up'],
+        down: ['ArrowDown', 'Down'],
+        left: ['ArrowLeft', 'Left'],
+        right: ['ArrowRight', 'Right'],
+        delete: ['Delete', 'Backspace', 'Del']
+    };
+    
+    Kiwi.MOUSE_MODIFIERS = { left: 0, middle: 1, right: 2 };
+    
+    // Global configuration
+    Kiwi.config = {
+        async: true // false flushes every change synchronously, which is handy in tests
+    };
+    
     // Expose utilities
     Kiwi.utils = utils;
     Kiwi.dom = dom;
     Kiwi.http = http;
+    Kiwi.storage = storage;
     
     // Expose classes
     Kiwi.EventEmitter = EventEmitter;
     Kiwi.Template = Template;
+    Kiwi.Renderer = Renderer;
     Kiwi.Router = Router;
     Kiwi.Animation = Animation;
+    Kiwi.Store = Store;
     
     // Plugin system
     Kiwi.plugins = {};
     
+    // Functions run with every new instance before its created hook; may return a teardown function
+    Kiwi.initializers = [];
+    
     Kiwi.use = function(plugin, options = {}) {
-        if (utils.isFunction(plugin)) {
-            plugin(Kiwi, options);
-        } else if (utils.isObject(plugin) && utils.isFunction(plugin.install)) {
+        // Classes such as Kiwi.Store are functions too, so an install method takes precedence
+        if (plugin && utils.isFunction(plugin.install)) {
             plugin.install(Kiwi, options);
+        } else if (utils.isFunction(plugin)) {
+            plugin(Kiwi, options);
         }
         return Kiwi;
     };
     
+    // Global that Kiwi.serializeState writes and hydrating instances read by default
+    Kiwi.STATE_KEY = '__KIWI_STATE__';
+    
+    // Render an instance's template to HTML without a DOM, e.g. in Node
+    Kiwi.renderToString = function(options, renderOptions = {}) {
+        const instance = new Kiwi(utils.extend({}, options, { element: null, server: true }));
+        let html = instance.options.template ? instance._renderHTML() : '';
+        
+        if (renderOptions.state) {
+            html += Kiwi.serializeState(instance.data, utils.isString(renderOptions.state) ? renderOptions.state : Kiwi.STATE_KEY);
+        }
+        
+        instance.$destroy();
+        return html;
+    };
+    
+    // Script tag assigning state to a global; escaped so data cannot close the tag
+    Kiwi.serializeState = function(state, name = Kiwi.STATE_KEY) {
+        const json = JSON.stringify(state === undefined ? null : state)
+            .replace(/</g, '\\u003c')
+            .replace(/>/g, '\\u003e')
+            .replace(/\u2028/g, '\\u2028')
+            .replace(/\u2029/g, '\\u2029');
+        
+        return `<script>window[${JSON.stringify(name)}] = ${json};</script>`;
+    };
+    
     // Create a Kiwi instance without new keyword
     Kiwi.create = function(options) {
         return new Kiwi(options);
     };
     
+    // Register a global template filter, or look one up
+    Kiwi.filter = function(name, fn) {
+        if (utils.isUndefined(fn)) {
+            return Template.filters[name];
+        }
+        
+        Template.filters[name] = fn;
+        return Kiwi;
+    };
+    
     // Helper to create a component definition
     Kiwi.component = function(name, definition) {
         if (!Kiwi.components) {